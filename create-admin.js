@@ -1,6 +1,6 @@
 // Usage: node create-admin.js <username> <password> [role]
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const passwordPolicy = require('./password-policy');
 require('dotenv').config();
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/cderp';
@@ -14,25 +14,27 @@ const adminSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true }, // hashed
   email: { type: String, trim: true, lowercase: true },
-  role: { type: String, enum: ['SuperAdmin','Admin','ViewMode','EditMode'], default: 'SuperAdmin' },
+  role: { type: String, trim: true, default: 'SuperAdmin' }, // Must match a RolePermission.role
   active: { type: Boolean, default: true },
   lastLogin: { type: Date },
   createdAt: { type: Date, default: Date.now },
-  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  passwordHistory: { type: [String], default: [] },
+  passwordChangedAt: { type: Date },
+  tokenVersion: { type: Number, default: 0 } // Bumped so tokens issued before a password/role change stop working
 });
 const Admin = mongoose.model('Admin', adminSchema);
 
+// Only the role name is needed here to validate against the stored roles
+const RolePermission = mongoose.model('RolePermission', new mongoose.Schema({
+  role: { type: String, required: true, unique: true }
+}, { strict: false }));
+
 (async () => {
   const [,, username, password, role = 'SuperAdmin'] = process.argv;
   if (!username || !password) {
     console.log('Usage: node create-admin.js <username> <password> [role]');
-    console.log('Role is optional and defaults to SuperAdmin. Valid roles: SuperAdmin, Admin, ViewMode, EditMode');
-    process.exit(1);
-  }
-
-  // Validate role
-  if (!['SuperAdmin', 'Admin', 'ViewMode', 'EditMode'].includes(role)) {
-    console.error('Invalid role. Valid roles: SuperAdmin, Admin, ViewMode, EditMode');
+    console.log('Role is optional and defaults to SuperAdmin. It must be one of the roles stored in the database.');
     process.exit(1);
   }
 
@@ -41,18 +43,42 @@ const Admin = mongoose.model('Admin', adminSchema);
     await mongoose.connect(MONGODB_URI);
     console.log('Connected to MongoDB');
 
-    const hash = await bcrypt.hash(password, 12);
+    // Validate role against the stored roles (built-in and custom).
+    // SuperAdmin is always accepted so a fresh database can be bootstrapped.
+    const roles = (await RolePermission.find().select('role').lean()).map(r => r.role);
+    if (role !== 'SuperAdmin' && !roles.includes(role)) {
+      console.error(`Invalid role. Valid roles: ${roles.join(', ') || 'SuperAdmin (run init-permissions.js to create the others)'}`);
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+
     let admin = await Admin.findOne({ username });
 
+    // Same password policy as the dashboard (stored in the passwordPolicy setting)
+    const policy = await passwordPolicy.loadPasswordPolicy(mongoose.connection);
+    const passwordError = await passwordPolicy.checkNewPassword(password, policy, admin || { username });
+    if (passwordError) {
+      console.error(`Invalid password. ${passwordError}`);
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+    const passwordFields = await passwordPolicy.buildPasswordFields(password, policy, admin || {});
+
     if (admin) {
-      admin.password = hash;
+      Object.assign(admin, passwordFields);
       if (role) admin.role = role;
+      admin.tokenVersion = (admin.tokenVersion || 0) + 1;
       await admin.save();
-      console.log(`Admin "${username}" password updated and role set to "${admin.role}".`);
+      // Refresh tokens would otherwise keep minting new access tokens; same as revokeAdminSessions in server.js
+      const revoked = await mongoose.connection.collection('sessions').updateMany(
+        { adminId: admin._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'password_changed' } }
+      );
+      console.log(`Admin "${username}" password updated and role set to "${admin.role}". ${revoked.modifiedCount} session(s) revoked.`);
     } else {
       const newAdmin = await Admin.create({
         username,
-        password: hash,
+        ...passwordFields,
         role,
         active: true,
         createdAt: new Date()
@@ -11,7 +11,10 @@ if (!MONGODB_URI) {
 
 // Role Permission Schema
 const rolePermissionSchema = new mongoose.Schema({
-  role: { type: String, enum: ['SuperAdmin','Admin','ViewMode','EditMode'], required: true, unique: true },
+  role: { type: String, required: true, unique: true, trim: true },
+  description: { type: String, trim: true, default: '' },
+  isSystem: { type: Boolean, default: false }, // Built-in roles cannot be renamed or deleted
+  bypassLeadRestrictions: { type: Boolean, default: false }, // Ignores restrictCounselorView/restrictLeadEditing
   permissions: {
     users: {
       create: { type: Boolean, default: false },
@@ -36,8 +39,16 @@ const rolePermissionSchema = new mongoose.Schema({
     },
     auditLogs: {
       view: { type: Boolean, default: false }
+    },
+    activityLogs: {
+      view: { type: Boolean, default: false }
+    },
+    settings: {
+      read: { type: Boolean, default: false }
     }
-  }
+  },
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
 });
 const RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
 
@@ -55,12 +66,16 @@ const initializeRolePermissions = async () => {
       // Default SuperAdmin permissions (all access)
       await RolePermission.create({
         role: 'SuperAdmin',
+        isSystem: true,
+        bypassLeadRestrictions: true,
         permissions: {
           users: { create: true, read: true, update: true, delete: true },
           leads: { create: true, read: true, update: true, delete: true },
           admins: { create: true, read: true, update: true, delete: true },
           analytics: { view: true },
-          auditLogs: { view: true }
+          auditLogs: { view: true },
+          activityLogs: { view: true },
+          settings: { read: true }
         }
       });
       console.log("Created SuperAdmin permissions");
@@ -68,40 +83,52 @@ const initializeRolePermissions = async () => {
       // Default Admin permissions
       await RolePermission.create({
         role: 'Admin',
+        isSystem: true,
+        bypassLeadRestrictions: true,
         permissions: {
           users: { create: true, read: true, update: true, delete: true },
           leads: { create: true, read: true, update: true, delete: true },
           admins: { create: false, read: true, update: false, delete: false },
           analytics: { view: true },
-          auditLogs: { view: false }
+          auditLogs: { view: false },
+          activityLogs: { view: true },
+          settings: { read: true }
         }
       });
       console.log("Created Admin permissions");
 
-      // Default ViewMode permissions
-      // ViewMode users can only view dashboard data and export CSV
+      // Default ViewMode permissions (same as the seed in server.js)
+      // ViewMode users can view leads and dashboard data and export CSV
       await RolePermission.create({
         role: 'ViewMode',
+        isSystem: true,
+        bypassLeadRestrictions: false,
         permissions: {
-          users: { create: false, read: false, update: false, delete: false },
+          users: { create: false, read: true, update: false, delete: false },
           leads: { create: false, read: true, update: false, delete: false },
           admins: { create: false, read: false, update: false, delete: false },
           analytics: { view: false },
-          auditLogs: { view: false }
+          auditLogs: { view: false },
+          activityLogs: { view: false },
+          settings: { read: false }
         }
       });
       console.log("Created ViewMode permissions");
 
-      // Default EditMode permissions
-      // EditMode users can view dashboard, export CSV, and delete leads
+      // Default EditMode permissions (same as the seed in server.js)
+      // EditMode users can view, create and edit leads, but not delete them
       await RolePermission.create({
         role: 'EditMode',
+        isSystem: true,
+        bypassLeadRestrictions: false,
         permissions: {
-          users: { create: false, read: false, update: false, delete: false },
-          leads: { create: true, read: true, update: true, delete: true },
+          users: { create: true, read: true, update: true, delete: false },
+          leads: { create: true, read: true, update: true, delete: false },
           admins: { create: false, read: false, update: false, delete: false },
           analytics: { view: false },
-          auditLogs: { view: false }
+          auditLogs: { view: false },
+          activityLogs: { view: false },
+          settings: { read: false }
         }
       });
       console.log("Created EditMode permissions");
@@ -0,0 +1,154 @@
+// Password policy shared by server.js, create-admin.js and update-password.js.
+// The active policy lives in the `passwordPolicy` setting; DEFAULT_PASSWORD_POLICY fills any missing keys.
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = 12;
+
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  disallowUsername: true, // Password may not contain the username or the local part of the email
+  historyCount: 5, // Previous passwords that may not be reused (0 disables the check)
+  maxAgeDays: 0 // Force a change at next login after this many days (0 = never expires)
+};
+
+const BOOLEAN_KEYS = ['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol', 'disallowUsername'];
+
+// Returns an error message for an invalid policy, or null if it is valid
+function validatePasswordPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'Password policy must be an object';
+  }
+  if (policy.minLength !== undefined &&
+      (!Number.isInteger(policy.minLength) || policy.minLength < 6 || policy.minLength > 128)) {
+    return 'minLength must be an integer between 6 and 128';
+  }
+  for (const key of BOOLEAN_KEYS) {
+    if (policy[key] !== undefined && typeof policy[key] !== 'boolean') {
+      return `${key} must be a boolean`;
+    }
+  }
+  if (policy.historyCount !== undefined &&
+      (!Number.isInteger(policy.historyCount) || policy.historyCount < 0 || policy.historyCount > 24)) {
+    return 'historyCount must be an integer between 0 and 24';
+  }
+  if (policy.maxAgeDays !== undefined &&
+      (!Number.isInteger(policy.maxAgeDays) || policy.maxAgeDays < 0 || policy.maxAgeDays > 3650)) {
+    return 'maxAgeDays must be an integer between 0 and 3650';
+  }
+  return null;
+}
+
+// Merge a stored setting value over the defaults; invalid values fall back to the defaults entirely
+function resolvePasswordPolicy(value) {
+  if (value && !validatePasswordPolicy(value)) {
+    return { ...DEFAULT_PASSWORD_POLICY, ...value };
+  }
+  return DEFAULT_PASSWORD_POLICY;
+}
+
+// For the CLI scripts, which don't define the Settings model
+async function loadPasswordPolicy(connection) {
+  const setting = await connection.collection('settings').findOne({ key: 'passwordPolicy' });
+  return resolvePasswordPolicy(setting && setting.value);
+}
+
+// Human-readable summary of the rules, e.g. for the reset-password form
+function describePasswordPolicy(policy) {
+  const rules = [`At least ${policy.minLength} characters`];
+  if (policy.requireUppercase) rules.push('An uppercase letter');
+  if (policy.requireLowercase) rules.push('A lowercase letter');
+  if (policy.requireNumber) rules.push('A number');
+  if (policy.requireSymbol) rules.push('A symbol');
+  if (policy.disallowUsername) rules.push('Must not contain your username');
+  if (policy.historyCount > 0) rules.push(`Must differ from your last ${policy.historyCount} password(s)`);
+  return rules;
+}
+
+// Composition rules only (no database access). `account` supplies username/email. Returns error messages.
+function checkPasswordRules(password, policy, account = {}) {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required.'];
+  }
+  const errors = [];
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters.`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter.');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter.');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a number.');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol.');
+  }
+  if (policy.disallowUsername) {
+    const lowered = password.toLowerCase();
+    const names = [account.username, account.email && account.email.split('@')[0]]
+      .filter(name => name && name.length >= 3)
+      .map(name => name.toLowerCase());
+    if (names.some(name => lowered.includes(name))) {
+      errors.push('Password must not contain your username.');
+    }
+  }
+  return errors;
+}
+
+// Whether `password` matches the account's current password or one of the last `historyCount`
+async function isPasswordReused(password, account, policy) {
+  if (!policy.historyCount) return false;
+  const hashes = [account.password, ...(account.passwordHistory || [])].filter(Boolean).slice(0, policy.historyCount);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+}
+
+// All rules including reuse. Returns a single error message, or null if the password is acceptable.
+async function checkNewPassword(password, policy, account = {}) {
+  const errors = checkPasswordRules(password, policy, account);
+  if (errors.length > 0) return errors.join(' ');
+  if (await isPasswordReused(password, account, policy)) {
+    return `Password must differ from your last ${policy.historyCount} password(s).`;
+  }
+  return null;
+}
+
+// Fields to store for a new password; the current hash moves into the history
+async function buildPasswordFields(password, policy, account = {}) {
+  const keep = Math.max(policy.historyCount - 1, 0); // The new hash itself covers one slot
+  const passwordHistory = [account.password, ...(account.passwordHistory || [])].filter(Boolean).slice(0, keep);
+  return {
+    password: await bcrypt.hash(password, BCRYPT_ROUNDS),
+    passwordHistory,
+    passwordChangedAt: new Date()
+  };
+}
+
+// Whether the account's password is older than maxAgeDays
+function isPasswordExpired(account, policy) {
+  if (!policy.maxAgeDays) return false;
+  const changedAt = account.passwordChangedAt || account.createdAt;
+  if (!changedAt) return false;
+  return Date.now() - new Date(changedAt).getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+module.exports = {
+  BCRYPT_ROUNDS,
+  DEFAULT_PASSWORD_POLICY,
+  validatePasswordPolicy,
+  resolvePasswordPolicy,
+  loadPasswordPolicy,
+  describePasswordPolicy,
+  checkPasswordRules,
+  checkNewPassword,
+  buildPasswordFields,
+  isPasswordExpired
+};
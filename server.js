@@ -3,8 +3,20 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const bodyParser = require("body-parser");
 const sgMail = require('@sendgrid/mail');
+const nodemailer = require('nodemailer');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const { parse: parseCsv } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const passwordPolicy = require('./password-policy');
 require('dotenv').config(); // Load environment variables
 
 const MAX_LOGIN_ATTEMPTS = 3; // Define the maximum login attempts allowed before deactivation
@@ -12,16 +24,109 @@ const MAX_LOGIN_ATTEMPTS = 3; // Define the maximum login attempts allowed befor
 const app = express();
 
 // --- Environment Variable Checks (Good Practice) ---
-if (!process.env.SENDGRID_API_KEY) {
-  console.warn("WARNING: SENDGRID_API_KEY environment variable not set. Email notifications will fail.");
-}
 if (!process.env.MONGODB_URI) {
   console.error("ERROR: MONGODB_URI environment variable not set. Cannot connect to database.");
   process.exit(1); // Exit if DB connection string is missing
 }
 
-// Set SendGrid API key
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+// --- Mail Transport ---
+// MAIL_TRANSPORT selects how emails leave the server:
+//   sendgrid - SendGrid API (SENDGRID_API_KEY)
+//   smtp     - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file     - each message is written as JSON to MAIL_FILE_DIR (default ./mail-outbox)
+//   console  - the message is only logged
+// Without MAIL_TRANSPORT, SendGrid is used when an API key is set and console otherwise; the older
+// EMAIL_TRANSPORT=console switch is still honoured. Messages use the SendGrid shape everywhere
+// (`from` may be a string or { email, name }), and each transport adapts it.
+const MAIL_TRANSPORT_NAMES = ['sendgrid', 'smtp', 'file', 'console'];
+
+function resolveMailTransportName() {
+  const configured = (process.env.MAIL_TRANSPORT || process.env.EMAIL_TRANSPORT || '').trim().toLowerCase();
+  if (configured) {
+    if (MAIL_TRANSPORT_NAMES.includes(configured)) return configured;
+    console.warn(`WARNING: Unknown MAIL_TRANSPORT "${configured}", falling back to console.`);
+    return 'console';
+  }
+  return process.env.SENDGRID_API_KEY ? 'sendgrid' : 'console';
+}
+
+// SendGrid-style address ("a@b.c" or { email, name }) to a nodemailer address
+function toNodemailerAddress(address) {
+  if (!address || typeof address === 'string') return address;
+  return address.name ? { name: address.name, address: address.email } : address.email;
+}
+
+function formatAddressList(addresses) {
+  return (Array.isArray(addresses) ? addresses : [addresses])
+    .map(address => (typeof address === 'string' ? address : address && address.email))
+    .join(', ');
+}
+
+function createMailTransport(name) {
+  switch (name) {
+    case 'sendgrid':
+      if (!process.env.SENDGRID_API_KEY) {
+        console.warn("WARNING: SENDGRID_API_KEY environment variable not set. Email notifications will fail.");
+      }
+      sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+      return { name, send: (msg) => sgMail.send(msg) };
+
+    case 'smtp': {
+      if (!process.env.SMTP_HOST) {
+        console.warn("WARNING: SMTP_HOST environment variable not set. Email notifications will fail.");
+      }
+      const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+      return {
+        name,
+        send: (msg) => transporter.sendMail({
+          from: toNodemailerAddress(msg.from),
+          to: (Array.isArray(msg.to) ? msg.to : [msg.to]).map(toNodemailerAddress),
+          replyTo: toNodemailerAddress(msg.replyTo),
+          subject: msg.subject,
+          text: msg.text,
+          html: msg.html
+        })
+      };
+    }
+
+    case 'file': {
+      const directory = path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox');
+      return {
+        name,
+        send: async (msg) => {
+          await fs.promises.mkdir(directory, { recursive: true });
+          const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+          await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify({ ...msg, sentAt: new Date() }, null, 2));
+          console.log(`[email:file] To: ${formatAddressList(msg.to)} | Subject: ${msg.subject} -> ${fileName}`);
+        }
+      };
+    }
+
+    default:
+      return {
+        name: 'console',
+        send: async (msg) => {
+          console.log(`[email:console] To: ${formatAddressList(msg.to)} | Subject: ${msg.subject}\n${msg.text || ''}`);
+        }
+      };
+  }
+}
+
+const mailTransport = createMailTransport(resolveMailTransportName());
+console.log(`Mail transport: ${mailTransport.name}`);
+
+async function sendEmail(msg) {
+  await mailTransport.send(msg);
+}
+
+function getSenderEmail() {
+  return process.env.SENDER_EMAIL || process.env.FROM_EMAIL || 'noreply@connectingdotserp.com';
+}
 
 // --- CORS Configuration ---
 const allowedOrigins = [
@@ -51,7 +156,8 @@ app.use(cors({
 }));
 
 // --- Middleware ---
-app.use(bodyParser.json());
+// rawBody keeps the exact bytes for signature checks on inbound webhooks (see /api/ingest)
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // --- Mongoose Schema and Model ---
 const userSchema = new mongoose.Schema({
@@ -61,15 +167,55 @@ const userSchema = new mongoose.Schema({
   countryCode: { type: String, trim: true }, // Removed required constraint
   coursename: { type: String, trim: true }, // Optional
   location: { type: String, trim: true }, // Optional
-  status: { type: String, enum: ['New', 'Contacted', 'Converted', 'Rejected'], default: 'New' },
+  status: { type: String, trim: true, default: 'New' }, // Validated against the leadPipeline setting
   contactedScore: { type: Number, min: 1, max: 10 }, // Contacted score from 1-10
   contactedComment: { type: String, trim: true }, // Comment for the contacted score
-  notes: { type: String, trim: true, default: '' },
+  notes: { type: String, trim: true, default: '' }, // Latest note only; full history lives in LeadComment
+  source: { type: String, trim: true }, // Channel the lead came from: 'web_form', 'import', 'admin', ...
+  sourceForm: { type: String, trim: true }, // Specific form/endpoint within the source, e.g. 'contact-form'
+  attribution: { // Marketing attribution captured by the public forms
+    utmSource: { type: String, trim: true },
+    utmMedium: { type: String, trim: true },
+    utmCampaign: { type: String, trim: true },
+    utmTerm: { type: String, trim: true },
+    utmContent: { type: String, trim: true },
+    referrer: { type: String, trim: true },
+    landingPage: { type: String, trim: true },
+    formId: { type: String, trim: true }
+  },
+  tags: [{ type: String, trim: true }], // Free-form labels, e.g. added by routing rules
   assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  routingRule: { type: mongoose.Schema.Types.ObjectId, ref: 'RoutingRule', default: null }, // Rule that routed the lead at intake
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Set when archived by a merge
+  archivedAt: { type: Date, default: null }, // Archived leads are hidden from listings and analytics
+  // First-response SLA (see the leadSla setting); firstResponseMinutes is measured in business minutes
+  slaDueAt: { type: Date, default: null },
+  firstResponseAt: { type: Date, default: null },
+  firstResponseBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  firstResponseMinutes: { type: Number, default: null },
+  slaMet: { type: Boolean, default: null },
+  slaBreachedAt: { type: Date, default: null },
+  slaEscalatedAt: { type: Date, default: null },
+  slaEscalatedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date }
 });
 
+// Indexes backing lead filters and the sortable, paginated listings (_id breaks ties for cursors)
+userSchema.index({ createdAt: -1, _id: -1 });
+userSchema.index({ updatedAt: -1, _id: -1 });
+userSchema.index({ name: 1, _id: 1 });
+userSchema.index({ status: 1, createdAt: -1 });
+userSchema.index({ contactedScore: -1, _id: -1 });
+userSchema.index({ assignedTo: 1, createdAt: -1 });
+userSchema.index({ coursename: 1 });
+userSchema.index({ location: 1 });
+userSchema.index({ email: 1 });
+userSchema.index({ contact: 1 });
+userSchema.index({ 'attribution.utmSource': 1, 'attribution.utmCampaign': 1 });
+userSchema.index({ tags: 1 });
+userSchema.index({ firstResponseAt: 1, slaBreachedAt: 1, slaDueAt: 1 });
+
 userSchema.pre('save', function(next) {
   this.updatedAt = new Date();
   next();
@@ -102,7 +248,7 @@ const adminSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true }, // hashed
   email: { type: String, trim: true, lowercase: true },
-  role: { type: String, enum: ['SuperAdmin','Admin','ViewMode','EditMode'], default: 'Admin' },
+  role: { type: String, trim: true, default: 'Admin' }, // Must match a RolePermission.role
   active: { type: Boolean, default: true },
   location: { type: String, enum: ['Pune', 'Mumbai', 'Raipur', 'Other'], default: 'Other' },
   color: { type: String, default: '#4299e1' }, // Default color
@@ -110,7 +256,17 @@ const adminSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
   // NEW: Fields for login security
-  loginAttempts: { type: Number, default: 0 } // Tracks consecutive failed login attempts
+  loginAttempts: { type: Number, default: 0 }, // Tracks consecutive failed login attempts
+  tokenVersion: { type: Number, default: 0 }, // Bumped on role/password change; access tokens carry it as `tv`
+  passwordHistory: { type: [String], default: [] }, // Previous bcrypt hashes, newest first (see passwordPolicy.historyCount)
+  passwordChangedAt: { type: Date }, // Falls back to createdAt for accounts created before this field existed
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, default: null }, // Base32
+  twoFactorPendingSecret: { type: String, default: null }, // Set during enrollment until the first code is confirmed
+  twoFactorRecoveryCodes: { type: [String], default: [] }, // SHA-256 hashes of unused one-time codes
+  twoFactorLastUsedStep: { type: Number, default: null }, // Last accepted TOTP time step, so codes can't be replayed
+  twoFactorEnabledAt: { type: Date, default: null }
 });
 const Admin = mongoose.model("Admin", adminSchema);
 
@@ -130,10 +286,44 @@ const loginHistorySchema = new mongoose.Schema({
   ipAddress: { type: String, default: 'unknown' },
   userAgent: { type: String, default: 'unknown' },
   success: { type: Boolean, required: true },
+  method: { type: String, enum: ['password', 'totp', 'recovery_code'], default: 'password' }, // Final factor checked
   loginAt: { type: Date, default: Date.now }
 });
 const LoginHistory = mongoose.model('LoginHistory', loginHistorySchema);
 
+// --- Session Schema ---
+// One document per login. The refresh token itself is never stored, only its SHA-256 hash.
+const sessionSchema = new mongoose.Schema({
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+  refreshTokenHash: { type: String, required: true },
+  previousRefreshTokenHash: { type: String, default: null }, // Presenting this again means the token was stolen
+  loginHistoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'LoginHistory', default: null },
+  ipAddress: { type: String, default: 'unknown' }, // Last seen
+  userAgent: { type: String, default: 'unknown' },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }, // Refresh token expiry
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null }
+});
+sessionSchema.index({ adminId: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // Purged a week after expiry
+const Session = mongoose.model('Session', sessionSchema);
+
+// --- Password Reset Token Schema ---
+// Forgot-password links; only the SHA-256 hash of the token is stored and each one works once
+const passwordResetTokenSchema = new mongoose.Schema({
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  requestedIp: { type: String, default: 'unknown' },
+  createdAt: { type: Date, default: Date.now }
+});
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }); // Purged a day after expiry
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
 // --- Activity Log Schema ---
 const activityLogSchema = new mongoose.Schema({
   adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
@@ -146,7 +336,11 @@ const ActivityLog = mongoose.model('ActivityLog', activityLogSchema);
 
 // --- Role Permission Schema ---
 const rolePermissionSchema = new mongoose.Schema({
-  role: { type: String, enum: ['SuperAdmin','Admin','ViewMode','EditMode'], required: true, unique: true },
+  role: { type: String, required: true, unique: true, trim: true },
+  description: { type: String, trim: true, default: '' },
+  isSystem: { type: Boolean, default: false }, // Built-in roles cannot be renamed or deleted
+  bypassLeadRestrictions: { type: Boolean, default: false }, // Ignores restrictCounselorView/restrictLeadEditing
+  requireTwoFactor: { type: Boolean, default: false }, // Admins with this role must enroll in TOTP before logging in
   permissions: {
     users: {
       create: { type: Boolean, default: false },
@@ -171,31 +365,340 @@ const rolePermissionSchema = new mongoose.Schema({
     },
     auditLogs: {
       view: { type: Boolean, default: false }
+    },
+    activityLogs: {
+      view: { type: Boolean, default: false }
+    },
+    settings: {
+      read: { type: Boolean, default: false }
     }
-  }
+  },
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
 });
 const RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
 
+// --- Lead Status History Schema ---
+// One entry per status change, written by every route that can change a lead's status
+const leadStatusHistorySchema = new mongoose.Schema({
+  leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  fromStatus: { type: String, default: null },
+  toStatus: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  source: { type: String }, // Action that made the change, e.g. 'update_lead', 'bulk_update_leads'
+  changedAt: { type: Date, default: Date.now }
+});
+leadStatusHistorySchema.index({ leadId: 1, changedAt: 1 });
+leadStatusHistorySchema.index({ changedAt: 1 }); // Stage duration analytics window
+const LeadStatusHistory = mongoose.model('LeadStatusHistory', leadStatusHistorySchema);
+
+// --- Lead Comment Schema ---
+// Append-only remarks per lead. Edits keep the previous text in editHistory and deletes are soft.
+const leadCommentSchema = new mongoose.Schema({
+  leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null }, // null for migrated notes
+  body: { type: String, required: [true, 'Comment text is required'], trim: true },
+  pinned: { type: Boolean, default: false },
+  source: { type: String, enum: ['comment', 'notes_field', 'notes_migration'], default: 'comment' },
+  editHistory: [{
+    body: { type: String },
+    editedAt: { type: Date, default: Date.now },
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+  }],
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date }
+});
+leadCommentSchema.index({ leadId: 1, createdAt: 1 });
+const LeadComment = mongoose.model('LeadComment', leadCommentSchema);
+
+// --- Assignment State Schema ---
+// Rotation counters for round-robin assignment, one per candidate pool, incremented atomically
+const assignmentStateSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  counter: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+const AssignmentState = mongoose.model('AssignmentState', assignmentStateSchema);
+
+// --- Email Template Schema ---
+// Editable copies of the emails the server sends; defaults live in DEFAULT_EMAIL_TEMPLATES
+const emailTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  description: { type: String, trim: true, default: '' },
+  subject: { type: String, required: true },
+  text: { type: String, default: '' },
+  html: { type: String, default: '' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  updatedAt: { type: Date, default: Date.now }
+});
+const EmailTemplate = mongoose.model('EmailTemplate', emailTemplateSchema);
+
+// --- Outbox Schema ---
+// Outbound notifications waiting for (or done with) delivery by the outbox worker
+const outboxMessageSchema = new mongoose.Schema({
+  channel: { type: String, enum: ['email', 'webhook'], default: 'email' },
+  template: { type: String, trim: true }, // Email template the message was rendered from
+  event: { type: String, trim: true }, // Webhook event name
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', default: null },
+  // Email: to, from, replyTo, subject, text, html. Webhook: body (the exact JSON string that is signed)
+  message: { type: mongoose.Schema.Types.Mixed, required: true },
+  leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  status: { type: String, enum: ['pending', 'processing', 'sent', 'failed'], default: 'pending' }, // failed = dead-lettered
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 6 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null }, // Worker lease while processing
+  lastError: { type: String, default: null },
+  responseStatus: { type: Number, default: null }, // HTTP status of the last webhook attempt
+  sentAt: { type: Date, default: null },
+  failedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ createdAt: -1 });
+outboxMessageSchema.index({ webhookId: 1, createdAt: -1 });
+// Delivered messages are kept for 30 days
+outboxMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: 'sent' } });
+const OutboxMessage = mongoose.model('OutboxMessage', outboxMessageSchema);
+
+// --- Webhook Subscription Schema ---
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: '' },
+  url: { type: String, required: true, trim: true },
+  events: [{ type: String, trim: true }], // Event names from WEBHOOK_EVENTS, or '*' for all
+  secret: { type: String, required: true }, // HMAC-SHA256 signing key
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+// --- Routing Rule Schema ---
+// Ordered lead routing rules evaluated at intake; the first enabled rule whose conditions match wins
+const ROUTING_OPERATORS = [
+  'equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'ends_with',
+  'in', 'not_in', 'is_empty', 'is_not_empty'
+];
+const routingConditionSchema = new mongoose.Schema({
+  field: { type: String, required: true, trim: true }, // Any lead field path, e.g. 'coursename' or 'attribution.utmSource'
+  operator: { type: String, enum: ROUTING_OPERATORS, required: true },
+  value: { type: mongoose.Schema.Types.Mixed } // String, or an array of strings for in/not_in
+}, { _id: false });
+const routingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: '' },
+  enabled: { type: Boolean, default: true },
+  order: { type: Number, default: 0 }, // Lower runs first
+  match: { type: String, enum: ['all', 'any'], default: 'all' }, // Whether all or any conditions must hold
+  conditions: [routingConditionSchema], // No conditions matches every lead (catch-all)
+  actions: {
+    assignTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    pool: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }], // Used when assignTo is empty or inactive
+    poolStrategy: { type: String, enum: ['round_robin', 'least_loaded', 'weighted'], default: 'round_robin' },
+    setStatus: { type: String, trim: true, default: null },
+    addTags: [{ type: String, trim: true }],
+    notifyEmails: [{ type: String, trim: true, lowercase: true }],
+    notifyAssignee: { type: Boolean, default: false }
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+routingRuleSchema.index({ enabled: 1, order: 1 });
+const RoutingRule = mongoose.model('RoutingRule', routingRuleSchema);
+
+// --- Lead Task Schema (follow-ups / reminders) ---
+const taskSchema = new mongoose.Schema({
+  leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+  type: { type: String, enum: ['call', 'email', 'visit'], default: 'call' },
+  title: { type: String, required: [true, 'Title is required'], trim: true },
+  description: { type: String, trim: true, default: '' },
+  dueAt: { type: Date, required: [true, 'Due time is required'] },
+  completed: { type: Boolean, default: false },
+  completedAt: { type: Date },
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  overdue: { type: Boolean, default: false }, // Set by the reminder scheduler
+  overdueNotifiedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date }
+});
+taskSchema.index({ assignedTo: 1, completed: 1, dueAt: 1 });
+taskSchema.index({ leadId: 1, dueAt: 1 });
+taskSchema.index({ completed: 1, overdueNotifiedAt: 1, dueAt: 1 });
+taskSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+const Task = mongoose.model('Task', taskSchema);
+
 // --- JWT Helper Functions ---
+// Access tokens are short-lived JWTs carrying the session ID (`sid`). Refresh tokens are opaque
+// "<sessionId>.<random>" strings that rotate on every use; the session must still be active for
+// either to work, so revoking a session logs that device out within SESSION_CACHE_TTL_MS.
 const JWT_SECRET = process.env.JWT_SECRET || 'change_this_secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const SESSION_CACHE_TTL_MS = 30 * 1000;
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000; // How often lastUsedAt is written for access-token use
+const SESSION_CACHE_MAX_ENTRIES = 10000;
+const sessionCache = new Map(); // sid -> { adminId, active, expiresAt (cache), touchedAt }
+const ADMIN_CACHE_TTL_MS = 15 * 1000;
+const ADMIN_CACHE_MAX_ENTRIES = 10000;
+const adminAuthCache = new Map(); // adminId -> { admin, expiresAt }
+
+// Set an entry in one of the auth caches without letting it grow unbounded: at `maxEntries`,
+// expired entries are dropped first, then the oldest one if the cache is still full
+function setBoundedCacheEntry(cache, key, entry, maxEntries) {
+  if (cache.size >= maxEntries && !cache.has(key)) {
+    const now = Date.now();
+    for (const [cachedKey, cachedEntry] of cache) {
+      if (cachedEntry.expiresAt <= now) cache.delete(cachedKey);
+    }
+    if (cache.size >= maxEntries) cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, entry);
+}
+
+function generateToken(admin, sessionId) {
+  return jwt.sign(
+    { id: admin._id, role: admin.role, sid: sessionId, tv: admin.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh and password reset tokens are long random strings, so an unsalted SHA-256 is enough
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshSecret() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function getClientIp(req) {
+  return req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+}
+
+// Start a session and return the token pair for the client
+async function createSession(admin, req, loginHistoryId = null) {
+  const session = new Session({
+    adminId: admin._id,
+    refreshTokenHash: 'pending',
+    loginHistoryId,
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'] || 'unknown',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  const refreshToken = `${session._id}.${generateRefreshSecret()}`;
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+  return { sessionId: session._id, token: generateToken(admin, session._id), refreshToken };
+}
+
+async function revokeSessions(filter, reason, revokedBy = null) {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id').lean();
+  if (sessions.length === 0) return 0;
+  await Session.updateMany(
+    { _id: { $in: sessions.map(s => s._id) }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  sessions.forEach(s => sessionCache.delete(s._id.toString()));
+  return sessions.length;
+}
+
+function revokeAdminSessions(adminId, reason, revokedBy = null) {
+  return revokeSessions({ adminId }, reason, revokedBy);
+}
+
+// Whether the session behind an access token is still active (cached briefly)
+async function isSessionActive(sid) {
+  const now = Date.now();
+  let cached = sessionCache.get(sid);
+  if (!cached || cached.expiresAt <= now) {
+    const session = mongoose.Types.ObjectId.isValid(sid)
+      ? await Session.findById(sid).select('revokedAt expiresAt').lean()
+      : null;
+    cached = {
+      active: Boolean(session && !session.revokedAt && session.expiresAt > new Date()),
+      expiresAt: now + SESSION_CACHE_TTL_MS,
+      touchedAt: cached ? cached.touchedAt : 0
+    };
+    setBoundedCacheEntry(sessionCache, sid, cached, SESSION_CACHE_MAX_ENTRIES);
+  }
+  if (cached.active && now - cached.touchedAt > SESSION_TOUCH_INTERVAL_MS) {
+    cached.touchedAt = now;
+    Session.updateOne({ _id: sid }, { $set: { lastUsedAt: new Date() } })
+      .catch(err => console.error('Error updating session activity:', err));
+  }
+  return cached.active;
+}
+
+// Current account state for an access token's admin (cached briefly); null if the admin was deleted
+async function getAuthAdmin(adminId) {
+  const now = Date.now();
+  const cached = adminAuthCache.get(adminId);
+  if (cached && cached.expiresAt > now) return cached.admin;
+
+  const admin = mongoose.Types.ObjectId.isValid(adminId)
+    ? await Admin.findById(adminId).select('username role active tokenVersion').lean()
+    : null;
+  setBoundedCacheEntry(adminAuthCache, adminId, { admin, expiresAt: now + ADMIN_CACHE_TTL_MS }, ADMIN_CACHE_MAX_ENTRIES);
+  return admin;
+}
 
-function generateToken(admin) {
-  return jwt.sign({ id: admin._id, role: admin.role }, JWT_SECRET, { expiresIn: '12h' });
+// Call after changing an admin's role, status or password so this process sees it immediately
+function invalidateAdminAuthCache(adminId) {
+  if (adminId) {
+    adminAuthCache.delete(adminId.toString());
+  } else {
+    adminAuthCache.clear();
+  }
 }
 
-function authMiddleware(req, res, next) {
+async function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ message: 'Missing token' });
   }
   const token = authHeader.split(' ')[1];
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.admin = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ message: 'Invalid token' });
   }
+  try {
+    // Tokens issued before sessions existed carry no sid and must be exchanged by logging in again
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Session expired or revoked. Please log in again.' });
+    }
+
+    // The token's role is only a hint; permissions follow the stored account
+    const admin = await getAuthAdmin(decoded.id);
+    if (!admin) {
+      return res.status(401).json({ message: 'Account no longer exists.' });
+    }
+    if (!admin.active) {
+      return res.status(401).json({ message: 'Your account is currently inactive. Please contact an administrator.' });
+    }
+    if ((decoded.tv || 0) !== (admin.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Your credentials or role have changed. Please refresh your session or log in again.' });
+    }
+    req.admin = { ...decoded, role: admin.role, username: admin.username };
+  } catch (err) {
+    console.error('Error checking session:', err);
+    return res.status(500).json({ message: 'Error verifying session.' });
+  }
+  next();
 }
 
 function requireRole(roles) {
@@ -207,6 +710,273 @@ function requireRole(roles) {
   };
 }
 
+// --- Two-Factor Authentication (TOTP, RFC 6238) ---
+// Codes are HMAC-SHA1 over 30-second time steps, compatible with Google Authenticator, Authy, etc.
+// After the password is checked, accounts with 2FA get a short-lived challenge token instead of a
+// session; the code (or a one-time recovery code) is exchanged for the real token pair.
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Time steps of clock drift accepted on either side
+const LOGIN_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Admin Dashboard';
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(value) {
+  const clean = String(value).toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function generateHotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  message.writeUInt32BE(counter % 0x100000000, 4);
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+// Returns the matching time step, or null. Steps at or before `lastUsedStep` are refused.
+function verifyTotp(secret, code, lastUsedStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    if (secretsMatch(generateHotp(secret, step), normalized)) return step;
+  }
+  return null;
+}
+
+function buildOtpauthUri(admin, secret) {
+  const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${admin.email || admin.username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^0-9a-z]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Returns { codes, hashes }; only the hashes are stored, the codes are shown to the admin once
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Check a TOTP code or recovery code for an enrolled admin, consuming it atomically.
+// Returns the method used ('totp' | 'recovery_code') or null.
+async function verifySecondFactor(admin, { code, recoveryCode }) {
+  if (!admin.twoFactorEnabled) return null;
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const updated = await Admin.findOneAndUpdate(
+      { _id: admin._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } },
+      { new: true }
+    );
+    if (!updated) return null;
+    admin.twoFactorRecoveryCodes = updated.twoFactorRecoveryCodes;
+    return 'recovery_code';
+  }
+  const step = verifyTotp(admin.twoFactorSecret, code, admin.twoFactorLastUsedStep);
+  if (step === null) return null;
+  // Conditional update so the same code can't be used twice by concurrent requests
+  const updated = await Admin.findOneAndUpdate(
+    { _id: admin._id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return updated ? 'totp' : null;
+}
+
+// Begin enrollment: store a pending secret and return what the authenticator app needs
+async function startTwoFactorSetup(admin) {
+  admin.twoFactorPendingSecret = generateTotpSecret();
+  await admin.save();
+  return { secret: admin.twoFactorPendingSecret, otpauthUri: buildOtpauthUri(admin, admin.twoFactorPendingSecret) };
+}
+
+// Finish enrollment once the admin proves the app works. Returns the recovery codes, or null for a bad code.
+async function completeTwoFactorSetup(admin, code) {
+  const step = verifyTotp(admin.twoFactorPendingSecret, code);
+  if (step === null) return null;
+  const { codes, hashes } = generateRecoveryCodes();
+  admin.twoFactorEnabled = true;
+  admin.twoFactorSecret = admin.twoFactorPendingSecret;
+  admin.twoFactorPendingSecret = null;
+  admin.twoFactorRecoveryCodes = hashes;
+  admin.twoFactorLastUsedStep = step;
+  admin.twoFactorEnabledAt = new Date();
+  await admin.save();
+  return codes;
+}
+
+function clearTwoFactor(admin) {
+  admin.twoFactorEnabled = false;
+  admin.twoFactorSecret = null;
+  admin.twoFactorPendingSecret = null;
+  admin.twoFactorRecoveryCodes = [];
+  admin.twoFactorLastUsedStep = null;
+  admin.twoFactorEnabledAt = null;
+}
+
+// Short-lived token for an unfinished login. purpose: '2fa_login' (enter a code), '2fa_setup' (enrollment
+// required by the role) or 'password_change' (password expired); `method` is the factor already checked.
+function issueLoginChallenge(admin, purpose, method = 'password') {
+  return jwt.sign(
+    { id: admin._id, purpose, method, tv: admin.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: LOGIN_CHALLENGE_TTL }
+  );
+}
+
+// Resolve a challenge token to { admin, method }, or null if it is invalid, expired or stale
+async function readLoginChallenge(challengeToken, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(challengeToken || ''), JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose !== purpose) return null;
+  const admin = await Admin.findById(decoded.id);
+  if (!admin || !admin.active || (admin.tokenVersion || 0) !== (decoded.tv || 0)) return null;
+  return { admin, method: decoded.method || 'password' };
+}
+
+// --- Role Permission Lookup (cached) ---
+// The RolePermission matrix is read on nearly every request, so keep a short-lived
+// in-memory copy per role. Updates through the API invalidate it immediately.
+const ROLE_PERMISSION_CACHE_TTL_MS = 60 * 1000;
+const rolePermissionCache = new Map(); // role -> { definition, expiresAt }
+
+// Returns the stored RolePermission document for a role, or null if the role does not exist
+async function getRoleDefinition(role) {
+  if (!role) return null;
+
+  const cached = rolePermissionCache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.definition;
+  }
+
+  const definition = await RolePermission.findOne({ role }).lean();
+  rolePermissionCache.set(role, { definition, expiresAt: Date.now() + ROLE_PERMISSION_CACHE_TTL_MS });
+  return definition;
+}
+
+async function getRolePermissions(role) {
+  const definition = await getRoleDefinition(role);
+  return definition ? definition.permissions : null;
+}
+
+async function roleExists(role) {
+  return Boolean(await getRoleDefinition(role));
+}
+
+// Whether a role sees and edits all leads regardless of restrictCounselorView/restrictLeadEditing
+async function roleBypassesLeadRestrictions(role) {
+  if (role === 'SuperAdmin') return true;
+  const definition = await getRoleDefinition(role);
+  return Boolean(definition && definition.bypassLeadRestrictions);
+}
+
+// Whether `role` grants nothing beyond `grantorRole`, so an admin cannot hand out more access than they have
+async function roleWithinGrantorPermissions(grantorRole, role) {
+  if (grantorRole === 'SuperAdmin') return true;
+  const [grantor, target] = await Promise.all([getRoleDefinition(grantorRole), getRoleDefinition(role)]);
+  if (!grantor || !target) return false;
+  if (target.bypassLeadRestrictions && !grantor.bypassLeadRestrictions) return false;
+  for (const [resource, actions] of Object.entries(target.permissions || {})) {
+    for (const [action, allowed] of Object.entries(actions || {})) {
+      if (allowed === true && !(grantor.permissions?.[resource]?.[action])) return false;
+    }
+  }
+  return true;
+}
+
+async function roleRequiresTwoFactor(role) {
+  const definition = await getRoleDefinition(role);
+  return Boolean(definition && definition.requireTwoFactor);
+}
+
+function invalidateRolePermissionCache(role) {
+  if (role) {
+    rolePermissionCache.delete(role);
+  } else {
+    rolePermissionCache.clear();
+  }
+}
+
+async function hasPermission(role, resource, action) {
+  // SuperAdmin permissions cannot be edited, so never lock them out of anything
+  if (role === 'SuperAdmin') return true;
+
+  const permissions = await getRolePermissions(role);
+  return Boolean(permissions && permissions[resource] && permissions[resource][action]);
+}
+
+// Whether `admin` may edit `lead` under the restrictLeadEditing setting (assignee-only when enabled)
+const LEAD_EDIT_RESTRICTED_MESSAGE = "You can only edit leads assigned to you when restriction mode is enabled.";
+
+async function canEditLead(admin, lead) {
+  const restrictLeadEditingSetting = await Settings.findOne({ key: 'restrictLeadEditing' }).lean();
+  if (!restrictLeadEditingSetting || !restrictLeadEditingSetting.value) return true;
+  if (await roleBypassesLeadRestrictions(admin.role)) return true;
+
+  // assignedTo may or may not be populated
+  const assignedToId = lead.assignedTo ? (lead.assignedTo._id || lead.assignedTo).toString() : null;
+  return assignedToId === admin.id.toString();
+}
+
+// Allow the request only if the caller's role has `resource.action` enabled in the RolePermission matrix
+function requirePermission(resource, action) {
+  return async (req, res, next) => {
+    try {
+      const allowed = await hasPermission(req.admin.role, resource, action);
+      if (!allowed) {
+        return res.status(403).json({ message: 'Forbidden' });
+      }
+      next();
+    } catch (err) {
+      console.error(`Error checking permission ${resource}.${action}:`, err);
+      res.status(500).json({ message: 'Error checking permissions.' });
+    }
+  };
+}
+
 // Helper function to log actions
 const logAction = async (adminId, action, target, metadata = {}) => {
   try {
@@ -235,6 +1005,124 @@ const logAction = async (adminId, action, target, metadata = {}) => {
   }
 };
 
+// Record status changes for one or more leads; entries where the status did not change are skipped
+async function recordStatusChanges(changes, changedBy, source) {
+  try {
+    const entries = changes
+      .filter(change => change.toStatus !== undefined && change.fromStatus !== change.toStatus)
+      .map(change => ({
+        leadId: change.leadId,
+        fromStatus: change.fromStatus || null,
+        toStatus: change.toStatus,
+        changedBy: changedBy || null,
+        source,
+        changedAt: new Date()
+      }));
+    if (entries.length > 0) {
+      await LeadStatusHistory.insertMany(entries);
+      await recordFirstResponse(entries.map(entry => entry.leadId), changedBy);
+    }
+  } catch (err) {
+    console.error('Error recording lead status history:', err);
+  }
+}
+
+// The legacy `notes` field is still accepted on lead updates, but instead of silently overwriting
+// earlier remarks every new value is also appended to the lead's comment log
+async function appendNotesAsComment(leadId, previousNotes, newNotes, authorId) {
+  if (typeof newNotes !== 'string') return;
+  const body = newNotes.trim();
+  if (!body || body === (previousNotes || '').trim()) return;
+
+  try {
+    await LeadComment.create({ leadId, author: authorId || null, body, source: 'notes_field' });
+    await recordFirstResponse([leadId], authorId);
+  } catch (err) {
+    console.error('Error appending notes as comment:', err);
+  }
+}
+
+// One-off migration: leads that have `notes` but no comments get their notes as the first comment.
+// Completion is recorded in the `notesMigratedToComments` setting so later startups skip it.
+const NOTES_MIGRATION_BATCH_SIZE = 500;
+
+async function migrateLeadNotesToComments() {
+  try {
+    const marker = await Settings.findOne({ key: 'notesMigratedToComments' }).lean();
+    if (marker && marker.value === true) return;
+
+    const cursor = User.find({ notes: { $nin: [null, ''] } })
+      .select('notes createdAt updatedAt')
+      .lean()
+      .cursor();
+
+    let migrated = 0;
+    let batch = [];
+    const flush = async () => {
+      // Check existing comments per batch rather than loading every commented lead ID up front
+      const commented = new Set((await LeadComment.distinct('leadId', { leadId: { $in: batch.map(l => l._id) } }))
+        .map(id => id.toString()));
+      const comments = batch
+        .filter(lead => !commented.has(lead._id.toString()))
+        .map(lead => ({
+          leadId: lead._id,
+          author: null,
+          body: lead.notes,
+          source: 'notes_migration',
+          createdAt: lead.updatedAt || lead.createdAt
+        }));
+      if (comments.length > 0) await LeadComment.insertMany(comments);
+      migrated += comments.length;
+      batch = [];
+    };
+    for await (const lead of cursor) {
+      batch.push(lead);
+      if (batch.length >= NOTES_MIGRATION_BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+
+    await Settings.updateOne(
+      { key: 'notesMigratedToComments' },
+      { $set: { value: true, description: 'Set once legacy lead notes have been copied into comments', updatedAt: new Date() } },
+      { upsert: true }
+    );
+    if (migrated > 0) {
+      console.log(`Migrated notes of ${migrated} lead(s) into comments`);
+    }
+  } catch (error) {
+    console.error('Error migrating lead notes to comments:', error);
+  }
+}
+
+// Remove records that only make sense while their lead exists
+async function deleteLeadRelatedRecords(leadIds) {
+  try {
+    await LeadStatusHistory.deleteMany({ leadId: { $in: leadIds } });
+    await Task.deleteMany({ leadId: { $in: leadIds } });
+    await LeadComment.deleteMany({ leadId: { $in: leadIds } });
+  } catch (err) {
+    console.error('Error deleting records for removed leads:', err);
+  }
+}
+
+// Split a lead's life into consecutive stage periods using its status history (sorted by changedAt)
+function buildStagePeriods(lead, history, now = new Date()) {
+  const periods = [];
+  let currentStatus = history.length > 0 ? history[0].fromStatus : lead.status;
+  let enteredAt = new Date(lead.createdAt);
+
+  for (const entry of history) {
+    periods.push({ status: currentStatus, enteredAt, leftAt: entry.changedAt, durationMs: entry.changedAt - enteredAt });
+    currentStatus = entry.toStatus;
+    enteredAt = entry.changedAt;
+  }
+  periods.push({ status: currentStatus, enteredAt, leftAt: null, durationMs: now - enteredAt });
+
+  return periods;
+}
+
+const msToHours = ms => Math.round((ms / (60 * 60 * 1000)) * 100) / 100;
+
 // Create a function to track admin activity
 async function trackActivity(adminId, action, page = '', details = '') {
   try {
@@ -252,52 +1140,85 @@ const initializeRolePermissions = async () => {
       // Default SuperAdmin permissions (all access)
       await RolePermission.create({
         role: 'SuperAdmin',
+        isSystem: true,
+        bypassLeadRestrictions: true,
         permissions: {
           users: { create: true, read: true, update: true, delete: true },
           leads: { create: true, read: true, update: true, delete: true },
           admins: { create: true, read: true, update: true, delete: true },
           analytics: { view: true },
-          auditLogs: { view: true }
+          auditLogs: { view: true },
+          activityLogs: { view: true },
+          settings: { read: true }
         }
       });
 
       // Default Admin permissions
       await RolePermission.create({
         role: 'Admin',
+        isSystem: true,
+        bypassLeadRestrictions: true,
         permissions: {
           users: { create: true, read: true, update: true, delete: true },
           leads: { create: true, read: true, update: true, delete: true },
           admins: { create: false, read: true, update: false, delete: false },
           analytics: { view: true },
-          auditLogs: { view: false }
+          auditLogs: { view: false },
+          activityLogs: { view: true },
+          settings: { read: true }
         }
       });
 
       // Default ViewMode permissions
       await RolePermission.create({
         role: 'ViewMode',
+        isSystem: true,
+        bypassLeadRestrictions: false,
         permissions: {
           users: { create: false, read: true, update: false, delete: false },
           leads: { create: false, read: true, update: false, delete: false },
           admins: { create: false, read: false, update: false, delete: false },
           analytics: { view: false },
-          auditLogs: { view: false }
+          auditLogs: { view: false },
+          activityLogs: { view: false },
+          settings: { read: false }
         }
       });
 
       // Default EditMode permissions
       await RolePermission.create({
         role: 'EditMode',
+        isSystem: true,
+        bypassLeadRestrictions: false,
         permissions: {
           users: { create: true, read: true, update: true, delete: false },
           leads: { create: true, read: true, update: true, delete: false },
           admins: { create: false, read: false, update: false, delete: false },
           analytics: { view: false },
-          auditLogs: { view: false }
+          auditLogs: { view: false },
+          activityLogs: { view: false },
+          settings: { read: false }
         }
       });
 
       console.log('Default role permissions initialized');
+    } else {
+      // Backfill role metadata on databases seeded before custom roles existed
+      await RolePermission.updateMany(
+        { role: { $in: ['SuperAdmin', 'Admin', 'ViewMode', 'EditMode'] }, isSystem: { $ne: true } },
+        { $set: { isSystem: true } }
+      );
+      await RolePermission.updateMany(
+        { role: { $in: ['SuperAdmin', 'Admin'] }, bypassLeadRestrictions: { $exists: false } },
+        { $set: { bypassLeadRestrictions: true } }
+      );
+      // activityLogs.view and settings.read replaced hardcoded SuperAdmin/Admin checks; keep that access
+      for (const field of ['permissions.activityLogs.view', 'permissions.settings.read']) {
+        await RolePermission.updateMany(
+          { role: { $in: ['SuperAdmin', 'Admin'] }, [field]: { $exists: false } },
+          { $set: { [field]: true } }
+        );
+      }
     }
   } catch (error) {
     console.error('Error initializing role permissions:', error);
@@ -314,6 +1235,11 @@ mongoose.connect(process.env.MONGODB_URI, {
   initializeRolePermissions();
   // Call the function during startup
   initDefaultSettings();
+  migrateLeadNotesToComments();
+  initEmailTemplates();
+  startTaskReminderScheduler();
+  startSlaScheduler();
+  startOutboxWorker();
 })
 .catch((err) => {
   console.error("FATAL: Error connecting to MongoDB:", err);
@@ -349,6 +1275,31 @@ async function initDefaultSettings() {
         key: 'locationAssignments',
         value: {},
         description: 'Location to counselor mapping for automatic assignment'
+      },
+      {
+        key: 'assignmentStrategy',
+        value: DEFAULT_ASSIGNMENT_STRATEGY,
+        description: 'Automatic lead assignment: location, round_robin, least_loaded or weighted within a pool of admins'
+      },
+      {
+        key: 'leadSla',
+        value: DEFAULT_LEAD_SLA,
+        description: 'First-response SLA in business hours, business calendar and escalation for untouched leads'
+      },
+      {
+        key: 'autoresponder',
+        value: DEFAULT_AUTORESPONDER,
+        description: 'Acknowledgement email to prospects after website form submissions, with per-course details'
+      },
+      {
+        key: 'leadPipeline',
+        value: DEFAULT_LEAD_PIPELINE,
+        description: 'Ordered lead stages with terminal/won/lost flags and allowed transitions'
+      },
+      {
+        key: 'passwordPolicy',
+        value: passwordPolicy.DEFAULT_PASSWORD_POLICY,
+        description: 'Admin password rules: length, character classes, username ban, reuse history and maximum age'
       }
     ];
 
@@ -366,26 +1317,301 @@ async function initDefaultSettings() {
   }
 }
 
-// Auto-assign lead based on location
-async function assignLeadByLocation(lead) {
-  try {
-    // Check if location-based assignment is enabled
-    const locationBasedSetting = await Settings.findOne({ key: 'locationBasedAssignment' });
-    if (!locationBasedSetting || !locationBasedSetting.value) {
-      return null; // Feature not enabled
-    }
+// --- Email Templates ---
+// Every email is rendered from a named EmailTemplate. Placeholders use `{{path.to.value}}`; values are
+// HTML-escaped in the html part (subject and text are plain). `{{#key}}...{{/key}}` renders its content
+// only when the value is truthy and `{{^key}}...{{/key}}` only when it is falsy.
+const DEFAULT_EMAIL_TEMPLATES = {
+  new_lead_notification: {
+    description: 'Sent to NOTIFICATION_EMAIL for every lead submitted through intake',
+    subject: 'New Lead: {{lead.name}} ({{lead.coursename}})',
+    text: 'New lead details:\n\nName: {{lead.name}}\nEmail: {{lead.email}}\nContact: {{lead.contact}}\nCourse: {{lead.coursename}}\nLocation: {{lead.location}}\nSource: {{lead.source}}\nAuto-assigned: {{#lead.assigned}}Yes{{/lead.assigned}}{{^lead.assigned}}No{{/lead.assigned}}\nSubmitted: {{lead.submittedAt}}',
+    html: `<h3>New Lead Registered</h3>
+<p><strong>Name:</strong> {{lead.name}}</p>
+<p><strong>Email:</strong> <a href="mailto:{{lead.email}}">{{lead.email}}</a></p>
+<p><strong>Contact:</strong> {{lead.contact}}</p>
+<p><strong>Course Name:</strong> {{lead.coursename}}</p>
+<p><strong>Location:</strong> {{lead.location}}</p>
+<p><strong>Source:</strong> {{lead.source}}</p>
+<p><strong>Auto-assigned:</strong> {{#lead.assigned}}Yes{{/lead.assigned}}{{^lead.assigned}}No{{/lead.assigned}}</p>
+<p><em>Submitted at: {{lead.submittedAt}}</em></p>`,
+    sample: { lead: { name: 'Priya Sharma', email: 'priya@example.com', contact: '+91 9876543210', coursename: 'SAP FICO', location: 'Pune', source: 'contact-form', assigned: true, submittedAt: '19/10/2026, 10:30:00 am' } }
+  },
+  lead_routed: {
+    description: 'Sent to the recipients of a routing rule with notify actions',
+    subject: 'Lead routed by "{{rule.name}}": {{lead.name}}',
+    text: 'A new lead matched the routing rule "{{rule.name}}".\n\nName: {{lead.name}}\nEmail: {{lead.email}}\nContact: {{lead.contact}}\nCourse: {{lead.coursename}}\nLocation: {{lead.location}}\nStatus: {{lead.status}}\nTags: {{lead.tags}}\nAssigned: {{#lead.assigned}}Yes{{/lead.assigned}}{{^lead.assigned}}No{{/lead.assigned}}',
+    html: `<p>A new lead matched the routing rule "<strong>{{rule.name}}</strong>".</p>
+<p><strong>Name:</strong> {{lead.name}}<br/>
+<strong>Email:</strong> <a href="mailto:{{lead.email}}">{{lead.email}}</a><br/>
+<strong>Contact:</strong> {{lead.contact}}<br/>
+<strong>Course:</strong> {{lead.coursename}}<br/>
+<strong>Location:</strong> {{lead.location}}<br/>
+<strong>Status:</strong> {{lead.status}}<br/>
+<strong>Tags:</strong> {{lead.tags}}<br/>
+<strong>Assigned:</strong> {{#lead.assigned}}Yes{{/lead.assigned}}{{^lead.assigned}}No{{/lead.assigned}}</p>`,
+    sample: { rule: { name: 'SAP Pune' }, lead: { name: 'Priya Sharma', email: 'priya@example.com', contact: '+91 9876543210', coursename: 'SAP FICO', location: 'Pune', status: 'New', tags: 'sap, pune', assigned: true } }
+  },
+  task_overdue: {
+    description: 'Sent once to the assignee when a follow-up task passes its due time',
+    subject: 'Overdue {{task.type}}: {{task.title}}',
+    text: 'Hi {{assignee.username}},\n\nYour {{task.type}} task "{{task.title}}" was due at {{task.dueAt}}.\n\nLead: {{lead.name}} ({{lead.email}}, {{lead.contact}})\nCourse: {{lead.coursename}}\n{{#task.description}}\nNotes: {{task.description}}\n{{/task.description}}',
+    html: `<p>Hi {{assignee.username}},</p>
+<p>Your <strong>{{task.type}}</strong> task "<strong>{{task.title}}</strong>" was due at {{task.dueAt}}.</p>
+<p><strong>Lead:</strong> {{lead.name}} ({{lead.email}}, {{lead.contact}})<br/>
+<strong>Course:</strong> {{lead.coursename}}</p>
+{{#task.description}}<p><strong>Notes:</strong> {{task.description}}</p>{{/task.description}}`,
+    sample: { assignee: { username: 'counselor1' }, task: { type: 'call', title: 'Call back about batch timings', dueAt: '19/10/2026, 11:00:00 am', description: 'Prefers evenings' }, lead: { name: 'Priya Sharma', email: 'priya@example.com', contact: '+91 9876543210', coursename: 'SAP FICO' } }
+  },
+  prospect_autoresponder: {
+    description: 'Acknowledgement sent to prospects who submit a website form (see the autoresponder setting)',
+    subject: 'Thank you for your interest{{#course.name}} in {{course.name}}{{/course.name}}, {{lead.name}}',
+    text: 'Hi {{lead.name}},\n\nThank you for contacting Connecting Dots ERP{{#course.name}} about {{course.name}}{{/course.name}}. We have received your details.\n{{#course.details}}\n{{course.details}}\n{{/course.details}}\n{{#counselor.name}}Your counselor {{counselor.name}} will get in touch with you shortly{{#counselor.email}} (you can also reach them at {{counselor.email}}){{/counselor.email}}.{{/counselor.name}}{{^counselor.name}}One of our counselors will get in touch with you shortly.{{/counselor.name}}\n\nRegards,\nConnecting Dots ERP',
+    html: `<p>Hi {{lead.name}},</p>
+<p>Thank you for contacting Connecting Dots ERP{{#course.name}} about <strong>{{course.name}}</strong>{{/course.name}}. We have received your details.</p>
+{{#course.details}}<p>{{course.details}}</p>{{/course.details}}
+<p>{{#counselor.name}}Your counselor <strong>{{counselor.name}}</strong> will get in touch with you shortly{{#counselor.email}} (you can also reach them at <a href="mailto:{{counselor.email}}">{{counselor.email}}</a>){{/counselor.email}}.{{/counselor.name}}{{^counselor.name}}One of our counselors will get in touch with you shortly.{{/counselor.name}}</p>
+<p>Regards,<br/>Connecting Dots ERP</p>`,
+    sample: { lead: { name: 'Priya Sharma' }, course: { name: 'SAP FICO', details: 'Next batch starts 1 November; weekday and weekend batches available.' }, counselor: { name: 'counselor1', email: 'counselor1@connectingdotserp.com' } }
+  },
+  sla_escalation: {
+    description: 'Sent when a lead misses its first-response SLA',
+    subject: 'SLA breached: {{lead.name}} has not been contacted',
+    text: 'The lead below was not contacted within {{sla.firstResponseHours}} business hour(s) (due {{lead.slaDueAt}}).\n\nName: {{lead.name}}\nEmail: {{lead.email}}\nContact: {{lead.contact}}\nCourse: {{lead.coursename}}\nLocation: {{lead.location}}\n{{#reassigned}}\nThe lead has been reassigned.\n{{/reassigned}}',
+    html: `<p>The lead below was not contacted within <strong>{{sla.firstResponseHours}}</strong> business hour(s) (due {{lead.slaDueAt}}).</p>
+<p><strong>Name:</strong> {{lead.name}}<br/>
+<strong>Email:</strong> <a href="mailto:{{lead.email}}">{{lead.email}}</a><br/>
+<strong>Contact:</strong> {{lead.contact}}<br/>
+<strong>Course:</strong> {{lead.coursename}}<br/>
+<strong>Location:</strong> {{lead.location}}</p>
+{{#reassigned}}<p>The lead has been reassigned.</p>{{/reassigned}}`,
+    sample: { sla: { firstResponseHours: 2 }, reassigned: true, lead: { name: 'Priya Sharma', email: 'priya@example.com', contact: '+91 9876543210', coursename: 'SAP FICO', location: 'Pune', slaDueAt: '19/10/2026, 12:30:00 pm' } }
+  },
+  password_reset: {
+    description: 'Sent to an admin who asks to reset a forgotten password',
+    subject: 'Reset your password',
+    text: 'Hi {{admin.username}},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n{{resetUrl}}\n\nThe link expires in {{expiresInMinutes}} minutes and can only be used once. If you did not ask for this, you can ignore this email; your password will not change.\n\nRequested from: {{requestedIp}}',
+    html: `<p>Hi {{admin.username}},</p>
+<p>We received a request to reset your password. Click the link below to choose a new one:</p>
+<p><a href="{{resetUrl}}">Reset password</a></p>
+<p>The link expires in {{expiresInMinutes}} minutes and can only be used once. If you did not ask for this, you can ignore this email; your password will not change.</p>
+<p style="color:#718096;font-size:12px">Requested from: {{requestedIp}}</p>`,
+    sample: { admin: { username: 'counselor1' }, resetUrl: 'https://dashboard.connectingdotserp.com/reset-password?token=sample-token', expiresInMinutes: 60, requestedIp: '203.0.113.10' }
+  }
+};
 
-    // Get location assignments
-    const locationAssignmentsSetting = await Settings.findOne({ key: 'locationAssignments' });
-    if (!locationAssignmentsSetting || !locationAssignmentsSetting.value) {
-      return null; // No assignments configured
-    }
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
-    const assignments = locationAssignmentsSetting.value;
-    const leadLocation = (lead.location || '').trim();
+function getTemplateValue(variables, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), variables);
+}
 
-    if (!leadLocation) {
-      return null; // No location to match
+// Render a template string; `escape` is applied to every substituted value.
+// Sections and placeholders are matched in one pass so substituted values are never rendered again.
+function renderTemplateString(template, variables, escape) {
+  return (template || '').replace(
+    /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\s*([\w.]+)\s*\}\}/g,
+    (match, kind, sectionPath, content, path) => {
+      if (kind) {
+        const value = getTemplateValue(variables, sectionPath);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        return (kind === '#') === truthy ? renderTemplateString(content, variables, escape) : '';
+      }
+      const value = getTemplateValue(variables, path);
+      return value == null ? '' : escape(Array.isArray(value) ? value.join(', ') : String(value));
+    }
+  );
+}
+
+// Placeholder paths used in a template that the variables do not provide
+function findMissingTemplateVariables(template, variables) {
+  const missing = new Set();
+  for (const part of [template.subject, template.text, template.html]) {
+    for (const match of (part || '').matchAll(/\{\{[#^/]?\s*([\w.]+)\s*\}\}/g)) {
+      if (getTemplateValue(variables, match[1]) === undefined) missing.add(match[1]);
+    }
+  }
+  return [...missing];
+}
+
+function renderEmailContent(template, variables) {
+  return {
+    subject: renderTemplateString(template.subject, variables, String).replace(/[\r\n]+/g, ' ').trim(),
+    text: renderTemplateString(template.text, variables, String),
+    html: renderTemplateString(template.html, variables, escapeHtml)
+  };
+}
+
+// Stored template by name, falling back to the built-in default
+async function getEmailTemplate(name) {
+  const stored = await EmailTemplate.findOne({ name }).lean();
+  if (stored) return stored;
+  const fallback = DEFAULT_EMAIL_TEMPLATES[name];
+  if (!fallback) throw new Error(`Unknown email template "${name}"`);
+  return { name, ...fallback };
+}
+
+// Render the named template into an outbox entry; `msg` supplies to/from/replyTo
+async function buildTemplatedEmail(name, variables, msg, leadId = null) {
+  const template = await getEmailTemplate(name);
+  const content = renderEmailContent(template, variables);
+  return {
+    channel: 'email',
+    template: name,
+    leadId,
+    message: { ...msg, subject: content.subject, text: content.text, ...(content.html ? { html: content.html } : {}) }
+  };
+}
+
+// Render the named template and queue it for delivery by the outbox worker
+async function queueTemplatedEmail(name, variables, msg, leadId = null) {
+  await enqueueOutboxMessages([await buildTemplatedEmail(name, variables, msg, leadId)]);
+}
+
+// Display-ready lead fields shared by the lead email templates
+function getLeadTemplateVariables(lead) {
+  return {
+    name: lead.name,
+    email: lead.email,
+    contact: lead.countryCode ? `${lead.countryCode} ${lead.contact}` : lead.contact,
+    coursename: lead.coursename || 'N/A',
+    location: lead.location || 'N/A',
+    source: lead.sourceForm || lead.source || 'N/A',
+    status: lead.status,
+    tags: (lead.tags || []).join(', ') || 'None',
+    assigned: Boolean(lead.assignedTo),
+    submittedAt: lead.createdAt ? new Date(lead.createdAt).toLocaleString() : '',
+    slaDueAt: lead.slaDueAt ? new Date(lead.slaDueAt).toLocaleString() : ''
+  };
+}
+
+// Create missing default templates
+async function initEmailTemplates() {
+  try {
+    for (const [name, template] of Object.entries(DEFAULT_EMAIL_TEMPLATES)) {
+      const exists = await EmailTemplate.exists({ name });
+      if (!exists) {
+        const { description, subject, text, html } = template;
+        await EmailTemplate.create({ name, description, subject, text, html });
+        console.log(`Created default email template: ${name}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error initializing email templates:', error);
+  }
+}
+
+// --- Lead Pipeline ---
+// Stages are stored in the `leadPipeline` setting in display order. A stage's `next` array lists the
+// stages a lead may move to from it; `terminal` marks closed leads and `outcome` is 'won', 'lost' or null.
+const DEFAULT_LEAD_PIPELINE = {
+  stages: [
+    { name: 'New', terminal: false, outcome: null, next: ['Contacted', 'Converted', 'Rejected'] },
+    { name: 'Contacted', terminal: false, outcome: null, next: ['New', 'Converted', 'Rejected'] },
+    { name: 'Converted', terminal: true, outcome: 'won', next: ['New', 'Contacted', 'Rejected'] },
+    { name: 'Rejected', terminal: true, outcome: 'lost', next: ['New', 'Contacted', 'Converted'] }
+  ]
+};
+
+// Returns an error message for an invalid pipeline definition, or null if it is valid
+function validateLeadPipeline(pipeline) {
+  if (!pipeline || !Array.isArray(pipeline.stages) || pipeline.stages.length === 0) {
+    return 'Pipeline must have a non-empty "stages" array';
+  }
+
+  const names = new Set();
+  for (const stage of pipeline.stages) {
+    if (!stage || typeof stage.name !== 'string' || stage.name.trim() === '') {
+      return 'Every stage needs a non-empty name';
+    }
+    if (names.has(stage.name)) {
+      return `Duplicate stage name: ${stage.name}`;
+    }
+    names.add(stage.name);
+
+    if (stage.terminal !== undefined && typeof stage.terminal !== 'boolean') {
+      return `Stage "${stage.name}": terminal must be a boolean`;
+    }
+    if (![undefined, null, 'won', 'lost'].includes(stage.outcome)) {
+      return `Stage "${stage.name}": outcome must be "won", "lost" or null`;
+    }
+    if (stage.next !== undefined && !Array.isArray(stage.next)) {
+      return `Stage "${stage.name}": next must be an array of stage names`;
+    }
+  }
+
+  for (const stage of pipeline.stages) {
+    for (const target of stage.next || []) {
+      if (!names.has(target)) {
+        return `Stage "${stage.name}" allows a transition to unknown stage "${target}"`;
+      }
+    }
+  }
+
+  return null;
+}
+
+async function getLeadPipeline() {
+  const setting = await Settings.findOne({ key: 'leadPipeline' }).lean();
+  if (setting && !validateLeadPipeline(setting.value)) {
+    return setting.value;
+  }
+  return DEFAULT_LEAD_PIPELINE;
+}
+
+function findPipelineStage(pipeline, name) {
+  return pipeline.stages.find(stage => stage.name === name) || null;
+}
+
+// New leads start in the first configured stage
+function getInitialLeadStage(pipeline) {
+  return pipeline.stages[0].name;
+}
+
+// Returns an error message if a lead may not move from `fromStatus` to `toStatus`, or null if allowed
+function checkStatusTransition(pipeline, fromStatus, toStatus) {
+  if (!findPipelineStage(pipeline, toStatus)) {
+    return `"${toStatus}" is not a stage in the lead pipeline.`;
+  }
+  if (fromStatus === toStatus) return null;
+
+  const fromStage = findPipelineStage(pipeline, fromStatus);
+  // Leads sitting in a stage that has since been removed may move anywhere
+  if (!fromStage || !Array.isArray(fromStage.next)) return null;
+
+  if (!fromStage.next.includes(toStatus)) {
+    return `Cannot move a lead from "${fromStatus}" to "${toStatus}".`;
+  }
+  return null;
+}
+
+// Auto-assign lead based on location
+async function assignLeadByLocation(lead) {
+  try {
+    // Check if location-based assignment is enabled
+    const locationBasedSetting = await Settings.findOne({ key: 'locationBasedAssignment' });
+    if (!locationBasedSetting || !locationBasedSetting.value) {
+      return null; // Feature not enabled
+    }
+
+    // Get location assignments
+    const locationAssignmentsSetting = await Settings.findOne({ key: 'locationAssignments' });
+    if (!locationAssignmentsSetting || !locationAssignmentsSetting.value) {
+      return null; // No assignments configured
+    }
+
+    const assignments = locationAssignmentsSetting.value;
+    const leadLocation = (lead.location || '').trim();
+
+    if (!leadLocation) {
+      return null; // No location to match
     }
 
     console.log(`Checking location assignment for: ${leadLocation}`);
@@ -433,678 +1659,3815 @@ async function assignLeadByLocation(lead) {
   }
 }
 
-// --- API Routes ---
-
-// --- Contact Form Route (Lead Creation) ---
-app.post("/api/contact-form", async (req, res) => {
-  try {
-    // Validate required fields
-    const { name, email, contact, countryCode } = req.body;
+// --- Assignment Strategies ---
+// The `assignmentStrategy` setting selects how new leads are auto-assigned:
+//   location     - first admin whose locationAssignments match (gated by locationBasedAssignment)
+//   round_robin  - rotate through the pool
+//   least_loaded - admin with the fewest open (non-terminal, non-archived) leads
+//   weighted     - fewest open leads relative to the admin's weight (capacity); weight 0 excludes an admin
+// With combineWithLocation the pool is narrowed to admins whose locationAssignments match the lead,
+// falling back to the whole pool when none match. Inactive admins are always skipped.
+const ASSIGNMENT_STRATEGIES = ['location', 'round_robin', 'least_loaded', 'weighted'];
+const DEFAULT_ASSIGNMENT_STRATEGY = {
+  strategy: 'location',
+  pool: [], // Admin IDs; empty means every admin listed in locationAssignments
+  combineWithLocation: true,
+  weights: {} // adminId -> capacity, used by 'weighted' (missing entries count as 1)
+};
 
-    if (!name || !email || !contact) {
-      return res.status(400).json({ success: false, message: "Name, email, and contact number are required." });
+// Returns an error message for an invalid strategy configuration, or null if it is valid
+function validateAssignmentStrategy(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'Assignment strategy must be an object';
+  }
+  if (!ASSIGNMENT_STRATEGIES.includes(config.strategy)) {
+    return `strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`;
+  }
+  if (config.pool !== undefined &&
+      (!Array.isArray(config.pool) || !config.pool.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+    return 'pool must be an array of admin IDs';
+  }
+  if (config.combineWithLocation !== undefined && typeof config.combineWithLocation !== 'boolean') {
+    return 'combineWithLocation must be a boolean';
+  }
+  if (config.weights !== undefined) {
+    if (!config.weights || typeof config.weights !== 'object' || Array.isArray(config.weights)) {
+      return 'weights must be an object mapping admin IDs to numbers';
     }
-
-    // Create new lead
-    const newUser = new User({
-      ...req.body,
-      status: 'New',
-      // Handle any potentially undefined fields to prevent schema validation errors
-      countryCode: countryCode || '+91' // Default to Indian code if not provided
-    });
-
-    // Check for location-based assignment
-    const assignedAdminId = await assignLeadByLocation(newUser);
-    if (assignedAdminId) {
-      newUser.assignedTo = assignedAdminId;
-      console.log(`Lead assigned to user ID: ${assignedAdminId}`);
-    } else {
-      console.log("No automatic location-based assignment applied");
+    for (const [adminId, weight] of Object.entries(config.weights)) {
+      if (!mongoose.Types.ObjectId.isValid(adminId) || typeof weight !== 'number' || !(weight >= 0)) {
+        return `Invalid weight for "${adminId}"; weights must be non-negative numbers`;
+      }
     }
+  }
+  return null;
+}
 
-    await newUser.save();
+async function getAssignmentStrategy() {
+  const setting = await Settings.findOne({ key: 'assignmentStrategy' }).lean();
+  if (setting && !validateAssignmentStrategy(setting.value)) {
+    return { ...DEFAULT_ASSIGNMENT_STRATEGY, ...setting.value };
+  }
+  return DEFAULT_ASSIGNMENT_STRATEGY;
+}
 
-    // Send email notification if enabled
-    try {
-      const emailEnabled = process.env.EMAIL_NOTIFICATIONS === 'true';
-      const sendgridApiKey = process.env.SENDGRID_API_KEY;
-
-      if (emailEnabled && sendgridApiKey) {
-        const msg = {
-          to: process.env.NOTIFICATION_EMAIL || 'notifications@connectingdotserp.com',
-          from: process.env.FROM_EMAIL || 'noreply@connectingdotserp.com',
-          subject: 'New Lead Submission',
-          text: `New lead submitted: ${name} (${email}, ${contact})`,
-          html: `
-            <h3>New Lead Details:</h3>
-            <p><strong>Name:</strong> ${name}</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Contact:</strong> ${contact}</p>
-            ${newUser.location ? `<p><strong>Location:</strong> ${newUser.location}</p>` : ''}
-            ${newUser.coursename ? `<p><strong>Course:</strong> ${newUser.coursename}</p>` : ''}
-            ${newUser.assignedTo ? `<p><strong>Auto-assigned:</strong> Yes</p>` : ''}
-          `,
-        };
-
-        await sgMail.send(msg);
-        console.log('Email notification sent');
-      }
-    } catch (emailError) {
-      console.error('Error sending email notification:', emailError);
-      // Continue execution even if email fails
-    }
-
-    console.log("Lead created successfully:", newUser._id);
-    res.status(201).json({ success: true, message: "Form submitted successfully!" });
-  } catch (error) {
-    console.error("Error submitting form:", error);
-    res.status(500).json({ success: false, message: "Error submitting form. Please try again later." });
+// Admin IDs whose configured locations match the lead's location; exact matches win over partial ones
+function matchLocationAssignments(assignments, location) {
+  const leadLocation = (location || '').trim().toLowerCase();
+  if (!leadLocation) return [];
+
+  const exact = [];
+  const partial = [];
+  for (const [adminId, locations] of Object.entries(assignments || {})) {
+    if (!Array.isArray(locations)) continue;
+    const normalized = locations.map(loc => String(loc).toLowerCase());
+    if (normalized.includes(leadLocation)) {
+      exact.push(adminId);
+    } else if (normalized.some(loc => leadLocation.includes(loc) || loc.includes(leadLocation))) {
+      partial.push(adminId);
+    }
   }
-});
+  return exact.length > 0 ? exact : partial;
+}
 
-// === Form Submission Route ===
-app.post("/api/submit", async (req, res) => {
-  // Destructure inputs
-  const {
-    name: nameInput,
-    email: emailInput,
-    contact: contactInput,
-    countryCode: countryCodeInput, // Will be undefined if not sent
-    coursename: coursenameInput,
-    location: locationInput
-  } = req.body;
-
-  // Trim values or use default if null/undefined
-  const name = nameInput?.trim();
-  const email = emailInput?.trim().toLowerCase();
-  const contact = contactInput?.trim();
-  // Trim countryCode only if it exists
-  const countryCode = countryCodeInput?.trim();
-  const coursename = coursenameInput?.trim() || 'N/A';
-  const location = locationInput?.trim() || 'N/A';
-
-  // --- Backend Validation ---
-  if (!name || !email || !contact) {
-    console.log("Validation failed: Missing required fields (Name, Email, Contact).");
-    return res.status(400).json({ message: "Please fill in Name, Email, and Contact Number." });
-  }
-
-  try {
-    // --- Check for existing user by email OR contact number ---
-    console.log(`Checking for existing user: email=${email}, contact=${contact}`);
-    const existingUser = await User.findOne({
-      $or: [
-        { email: email },
-        { contact: contact }
-      ]
-    }).lean();
+// Atomically advance the rotation counter for a candidate set and return the next position in it.
+// The $inc is a single-document atomic update, so concurrent submissions never get the same slot.
+async function nextRotationIndex(candidateIds) {
+  const key = 'rr:' + crypto.createHash('sha1').update(candidateIds.join(',')).digest('hex');
+  const state = await AssignmentState.findOneAndUpdate(
+    { key },
+    { $inc: { counter: 1 }, $set: { updatedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+  return (state.counter - 1) % candidateIds.length;
+}
 
-    if (existingUser) {
-      let conflictMessage = "This record cannot be added because of a duplicate entry.";
-      if (existingUser.email === email) {
-        conflictMessage = "This email address is already registered. Please use a different email.";
-      } else if (existingUser.contact === contact) {
-        conflictMessage = "This contact number is already registered. Please use a different number.";
+// Open lead counts (non-terminal stage, not archived) keyed by admin ID
+async function countOpenLeads(adminIds) {
+  const pipeline = await getLeadPipeline();
+  const terminalStages = pipeline.stages.filter(stage => stage.terminal).map(stage => stage.name);
+  const counts = await User.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: adminIds.map(id => new mongoose.Types.ObjectId(id)) },
+        status: { $nin: terminalStages },
+        archivedAt: null
       }
-      console.log(`!!! Duplicate found. Sending 400. Message: "${conflictMessage}"`);
-      return res.status(400).json({ message: conflictMessage });
-    }
+    },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+  const countById = Object.fromEntries(counts.map(c => [c._id.toString(), c.count]));
+  return Object.fromEntries(adminIds.map(id => [id, countById[id] || 0]));
+}
 
-    // --- If no existing user, proceed to save ---
-    console.log("No duplicate found. Proceeding to save new user.");
-    const newUser = new User({
-        name,
-        email,
-        contact,
-        countryCode, // Pass it along (will be undefined if missing)
-        coursename,
-        location
-    });
-    await newUser.save();
-    console.log("User saved successfully to database:", newUser._id);
+// Pick one admin from `candidateIds` using a pool strategy. Ties rotate so they spread evenly.
+async function pickFromPool(strategy, candidateIds, weights) {
+  if (strategy === 'round_robin') {
+    return candidateIds[await nextRotationIndex(candidateIds)];
+  }
 
-    // --- Send Email Notification (Best effort) ---
-    if (process.env.SENDGRID_API_KEY && process.env.NOTIFICATION_EMAIL && process.env.SENDER_EMAIL) {
-        try {
-            const contactDisplay = countryCode ? `${countryCode} ${contact}` : contact; // Display code only if present
-
-            const msg = {
-                to: process.env.NOTIFICATION_EMAIL,
-                from: {
-                    email: process.env.SENDER_EMAIL,
-                    name: 'Connecting Dots ERP Notifications'
-                },
-                replyTo: email,
-                subject: `New Lead: ${name} (${coursename})`,
-                text: `New lead details:\n\nName: ${name}\nEmail: ${email}\nContact: ${contactDisplay}\nCourse: ${coursename}\nLocation: ${location}\nSubmitted: ${new Date().toLocaleString()}`,
-                html: `<h3>New Lead Registered</h3>
-                       <p><strong>Name:</strong> ${name}</p>
-                       <p><strong>Email:</strong> <a href="mailto:${email}">${email}</a></p>
-                       <p><strong>Contact:</strong> ${contactDisplay}</p>
-                       <p><strong>Course Name:</strong> ${coursename}</p>
-                       <p><strong>Location:</strong> ${location}</p>
-                       <p><em>Submitted at: ${new Date().toLocaleString()}</em></p>`
-            };
-            await sgMail.send(msg);
-            console.log("Email notification sent successfully.");
-        } catch (emailError) {
-            console.error("Error sending email notification:", emailError.response ? JSON.stringify(emailError.response.body) : emailError.message);
-        }
-    } else {
-        console.warn("Email notification skipped due to missing SendGrid/Email configuration in .env");
-    }
+  const weightOf = id => (weights[id] === undefined ? 1 : weights[id]);
+  const eligible = strategy === 'weighted' ? candidateIds.filter(id => weightOf(id) > 0) : candidateIds;
+  if (eligible.length === 0) return null;
 
-    // --- Success Response to Frontend ---
-    return res.status(201).json({ message: "Registration successful! We will contact you soon." });
+  const openLeads = await countOpenLeads(eligible);
+  const scoreOf = id => (strategy === 'weighted' ? openLeads[id] / weightOf(id) : openLeads[id]);
+  const best = Math.min(...eligible.map(scoreOf));
+  const tied = eligible.filter(id => scoreOf(id) === best);
+  return tied.length === 1 ? tied[0] : tied[await nextRotationIndex(tied)];
+}
 
-  } catch (dbError) {
-    // Catch errors from findOne or save operations
-    console.error("!!! Error during database operation in /api/submit:", dbError);
-    if (dbError.name === 'ValidationError') {
-        return res.status(400).json({ message: dbError.message });
+// Choose an admin for a new lead according to the `assignmentStrategy` setting.
+// `options.pool`, `options.strategy` and `options.combineWithLocation` override the configured values.
+// Returns an admin ID, or null when no admin applies.
+async function assignLead(lead, options = {}) {
+  try {
+    const config = await getAssignmentStrategy();
+    const strategy = options.strategy || config.strategy;
+    if (strategy === 'location' && !options.pool) {
+      return await assignLeadByLocation(lead);
     }
-    return res.status(500).json({ message: "An internal server error occurred. Please try again later.", error: dbError.message });
-  }
-});
 
-// === Fetch Leads Route (Admin Protected) ===
-// Get leads with advanced filtering options and setting-based restrictions
-app.get('/api/leads', authMiddleware, requireRole(['SuperAdmin', 'Admin', 'EditMode', 'ViewMode']), async (req, res) => {
-  try {
-    const { populate } = req.query;
-    let filter = {};
+    const locationAssignmentsSetting = await Settings.findOne({ key: 'locationAssignments' }).lean();
+    const assignments = locationAssignmentsSetting?.value || {};
 
-    // Get settings that affect lead display
-    const maxLeadsToDisplaySetting = await Settings.findOne({ key: 'maxLeadsToDisplay' }).lean();
-    const restrictCounselorViewSetting = await Settings.findOne({ key: 'restrictCounselorView' }).lean();
+    let pool = options.pool || config.pool || [];
+    if (pool.length === 0) pool = Object.keys(assignments);
+    pool = pool.filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (pool.length === 0) return null;
 
-    const maxLeadsToDisplay = maxLeadsToDisplaySetting?.value || 0; // Default to 0 (show all)
-    const restrictCounselorView = restrictCounselorViewSetting?.value || false; // Default to false
+    // Only existing, active admins, in a stable order so rotation positions stay meaningful
+    const activeAdmins = await Admin.find({ _id: { $in: pool }, active: true }).select('_id').lean();
+    let candidates = activeAdmins.map(admin => admin._id.toString()).sort();
+    if (candidates.length === 0) return null;
 
-    // Apply counselor view restriction if enabled (except for SuperAdmin and Admin who can see all)
-    if (restrictCounselorView && req.admin.role !== 'SuperAdmin' && req.admin.role !== 'Admin') {
-      filter.assignedTo = req.admin.id;
+    const combineWithLocation = options.combineWithLocation !== undefined ? options.combineWithLocation : config.combineWithLocation;
+    if (combineWithLocation) {
+      const locationMatches = matchLocationAssignments(assignments, lead.location);
+      const narrowed = candidates.filter(id => locationMatches.includes(id));
+      if (narrowed.length > 0) candidates = narrowed;
     }
 
-    // Build the query
-    let query = User.find(filter).sort({ createdAt: -1 });
-
-    // Apply population if requested
-    if (populate === 'assignedTo') {
-      query = query.populate('assignedTo', 'username role color');
+    // An explicit pool with the location strategy rotates among its location matches
+    const poolStrategy = strategy === 'location' ? 'round_robin' : strategy;
+    const adminId = await pickFromPool(poolStrategy, candidates, config.weights || {});
+    if (adminId) {
+      console.log(`Auto-assigned lead to ${adminId} using ${poolStrategy} among ${candidates.length} candidate(s)`);
     }
+    return adminId;
+  } catch (error) {
+    console.error("Error in automatic lead assignment:", error);
+    return null;
+  }
+}
 
-    // Apply lead display limit if set (maxLeadsToDisplay > 0)
-    if (maxLeadsToDisplay > 0) {
-      query = query.limit(maxLeadsToDisplay);
-    }
+// --- Lead Routing Rules ---
+// Intake runs the enabled RoutingRules in order and applies the actions of the first match. When no
+// rule matches, or the matched rule does not assign anyone, the `assignmentStrategy` setting decides.
+function getLeadFieldValue(lead, field) {
+  if (typeof lead.get === 'function') return lead.get(field);
+  return field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), lead);
+}
 
-    // Execute the query
-    const leads = await query.lean();
+function normalizeRoutingValue(value) {
+  return value == null ? '' : String(value).trim().toLowerCase();
+}
 
-    // Return the result
-    res.status(200).json(leads);
-  } catch (error) {
-    console.error('Error fetching leads:', error);
-    res.status(500).json({ message: 'Error fetching leads', error: error.message });
+// Conditions compare case-insensitively; array fields (tags) match when any element matches
+function evaluateRoutingCondition(lead, condition) {
+  const raw = getLeadFieldValue(lead, condition.field);
+  const actual = (Array.isArray(raw) ? raw : [raw]).map(normalizeRoutingValue);
+  const expectedList = (Array.isArray(condition.value) ? condition.value : [condition.value]).map(normalizeRoutingValue);
+  const expected = expectedList[0];
+
+  switch (condition.operator) {
+    case 'equals': return actual.some(v => v === expected);
+    case 'not_equals': return !actual.some(v => v === expected);
+    case 'contains': return actual.some(v => v.includes(expected));
+    case 'not_contains': return !actual.some(v => v.includes(expected));
+    case 'starts_with': return actual.some(v => v.startsWith(expected));
+    case 'ends_with': return actual.some(v => v.endsWith(expected));
+    case 'in': return actual.some(v => expectedList.includes(v));
+    case 'not_in': return !actual.some(v => expectedList.includes(v));
+    case 'is_empty': return actual.every(v => v === '');
+    case 'is_not_empty': return actual.some(v => v !== '');
+    default: return false;
   }
-});
+}
 
-// === Get total lead count ===
-app.get('/api/leads/count', authMiddleware, requireRole(['SuperAdmin', 'Admin']), async (req, res) => {
-  try {
-    const count = await User.countDocuments();
-    res.status(200).json({ count });
-  } catch (error) {
-    console.error('Error counting leads:', error);
-    res.status(500).json({ message: 'Error counting leads', error: error.message });
+// Evaluate rules in order. Returns the first matching rule (or null) and a per-rule trace.
+function evaluateRoutingRules(lead, rules) {
+  const trace = [];
+  for (const rule of rules) {
+    const conditions = (rule.conditions || []).map(condition => ({
+      field: condition.field,
+      operator: condition.operator,
+      value: condition.value,
+      actual: getLeadFieldValue(lead, condition.field),
+      matched: evaluateRoutingCondition(lead, condition)
+    }));
+    const matched = conditions.length === 0 ||
+      (rule.match === 'any' ? conditions.some(c => c.matched) : conditions.every(c => c.matched));
+    trace.push({ ruleId: rule._id, name: rule.name, order: rule.order, matched, conditions });
+    if (matched) return { rule, trace };
   }
-});
+  return { rule: null, trace };
+}
 
-// === Update Lead Route (Admin Protected) ===
-app.put("/api/leads/:id", authMiddleware, requireRole(['SuperAdmin','Admin','EditMode']), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updateFields = {};
-    const allowedFields = ['name','email','contact','countryCode','coursename','location','status','notes','assignedTo','contactedScore','contactedComment'];
-    for (const key of allowedFields) {
-      if (req.body[key] !== undefined) updateFields[key] = req.body[key];
+// Returns an error message for an invalid rule definition, or null if it is valid
+function validateRoutingRule(rule, pipeline) {
+  if (typeof rule.name !== 'string' || rule.name.trim() === '') return 'Rule name is required.';
+  if (rule.match !== undefined && !['all', 'any'].includes(rule.match)) return 'match must be "all" or "any".';
+  if (rule.conditions !== undefined && !Array.isArray(rule.conditions)) return 'conditions must be an array.';
+
+  for (const condition of rule.conditions || []) {
+    if (!condition || typeof condition.field !== 'string' || !User.schema.path(condition.field)) {
+      return `Unknown lead field in condition: "${condition && condition.field}".`;
     }
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid lead ID format." });
+    if (!ROUTING_OPERATORS.includes(condition.operator)) {
+      return `Operator must be one of: ${ROUTING_OPERATORS.join(', ')}.`;
     }
-
-    // Store original lead data for audit log
-    const originalLead = await User.findById(id).lean();
-    if (!originalLead) {
-      return res.status(404).json({ message: "Lead not found." });
+    const needsValue = !['is_empty', 'is_not_empty'].includes(condition.operator);
+    const isList = ['in', 'not_in'].includes(condition.operator);
+    if (needsValue && isList && !(Array.isArray(condition.value) && condition.value.length > 0)) {
+      return `Operator "${condition.operator}" needs a non-empty array value.`;
+    }
+    if (needsValue && !isList && (condition.value == null || typeof condition.value === 'object' || String(condition.value).trim() === '')) {
+      return `Operator "${condition.operator}" on "${condition.field}" needs a value.`;
     }
+  }
 
-    const updatedUser = await User.findByIdAndUpdate(id, updateFields, { new: true, runValidators: true });
+  const actions = rule.actions || {};
+  if (actions.assignTo && !mongoose.Types.ObjectId.isValid(actions.assignTo)) return 'actions.assignTo must be an admin ID.';
+  if (actions.pool !== undefined &&
+      (!Array.isArray(actions.pool) || !actions.pool.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+    return 'actions.pool must be an array of admin IDs.';
+  }
+  if (actions.poolStrategy !== undefined && !['round_robin', 'least_loaded', 'weighted'].includes(actions.poolStrategy)) {
+    return 'actions.poolStrategy must be round_robin, least_loaded or weighted.';
+  }
+  if (actions.setStatus && !findPipelineStage(pipeline, actions.setStatus)) {
+    return `actions.setStatus "${actions.setStatus}" is not a stage in the lead pipeline.`;
+  }
+  if (actions.addTags !== undefined && (!Array.isArray(actions.addTags) || !actions.addTags.every(tag => typeof tag === 'string' && tag.trim()))) {
+    return 'actions.addTags must be an array of non-empty strings.';
+  }
+  if (actions.notifyEmails !== undefined &&
+      (!Array.isArray(actions.notifyEmails) || !actions.notifyEmails.every(email => EMAIL_PATTERN.test(email)))) {
+    return 'actions.notifyEmails must be an array of email addresses.';
+  }
+  return null;
+}
 
-    // Prepare detailed metadata for audit log
-    const metadataWithChanges = {
-      userId: id,
-      leadName: originalLead.name,
-      leadEmail: originalLead.email,
-      leadContact: originalLead.contact,
-      updateFields: {},
-    };
+async function getActiveRoutingRules() {
+  return RoutingRule.find({ enabled: true }).sort({ order: 1, createdAt: 1 }).lean();
+}
 
-    // Track specific changes for each field
-    for (const key of Object.keys(updateFields)) {
-      metadataWithChanges.updateFields[key] = {
-        from: originalLead[key],
-        to: updateFields[key]
-      };
+// Apply a matched rule's actions to an unsaved lead; returns the addresses to notify once it is saved
+async function applyRoutingActions(lead, rule) {
+  const actions = rule.actions || {};
+
+  if (actions.setStatus) {
+    const pipeline = await getLeadPipeline();
+    if (findPipelineStage(pipeline, actions.setStatus)) {
+      lead.status = actions.setStatus;
+    } else {
+      console.warn(`Routing rule "${rule.name}" sets unknown stage "${actions.setStatus}"; status left unchanged.`);
     }
+  }
 
-    await logAction(req.admin.id, 'update_lead', 'User', metadataWithChanges);
+  if (actions.addTags && actions.addTags.length > 0) {
+    lead.tags = [...new Set([...(lead.tags || []), ...actions.addTags])];
+  }
 
-    res.status(200).json({ message: "Lead updated successfully.", lead: updatedUser });
-  } catch (error) {
-    console.error(`Error updating lead with ID (${req.params.id}):`, error);
-    res.status(500).json({ message: "Internal Server Error occurred while updating.", error: error.message });
+  if (actions.assignTo) {
+    const admin = await Admin.findOne({ _id: actions.assignTo, active: true }).select('_id').lean();
+    if (admin) lead.assignedTo = admin._id;
+  }
+  if (!lead.assignedTo && actions.pool && actions.pool.length > 0) {
+    const adminId = await assignLead(lead, {
+      pool: actions.pool.map(String),
+      strategy: actions.poolStrategy || 'round_robin',
+      combineWithLocation: false // The rule's own conditions already decided the pool
+    });
+    if (adminId) lead.assignedTo = adminId;
   }
-});
 
-// === Update Lead Route (PATCH version) (Admin Protected) ===
-app.patch("/api/leads/:id", authMiddleware, requireRole(['SuperAdmin','Admin','EditMode','ViewMode']), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updateFields = {};
+  const notify = [...(actions.notifyEmails || [])];
+  if (actions.notifyAssignee && lead.assignedTo) {
+    const assignee = await Admin.findById(lead.assignedTo).select('email').lean();
+    if (assignee && assignee.email) notify.push(assignee.email);
+  }
+  return [...new Set(notify)];
+}
 
-    // Define allowed fields based on user role
-    let allowedFields = ['contactedScore', 'contactedComment', 'status']; // Base fields that ViewMode can update
+// Route an unsaved lead: rules first, then the default assignment strategy for anything left unassigned
+async function routeLead(lead) {
+  let notify = [];
+  const { rule } = evaluateRoutingRules(lead, await getActiveRoutingRules());
+  if (rule) {
+    lead.routingRule = rule._id;
+    notify = await applyRoutingActions(lead, rule);
+    console.log(`Lead matched routing rule "${rule.name}"`);
+  }
 
-    // Expand allowed fields for higher privilege roles
-    if (req.admin.role === 'SuperAdmin' || req.admin.role === 'Admin' || req.admin.role === 'EditMode') {
-      allowedFields = [...allowedFields, 'name', 'email', 'contact', 'countryCode', 'coursename', 'location', 'notes', 'assignedTo'];
-    }
+  if (!lead.assignedTo) {
+    const assignedAdminId = await assignLead(lead);
+    if (assignedAdminId) lead.assignedTo = assignedAdminId;
+  }
+  return { rule, notify };
+}
 
-    for (const key of allowedFields) {
-      if (req.body[key] !== undefined) updateFields[key] = req.body[key];
-    }
+// Outbox entry for a routing rule's notify action, or null when there is nobody to notify
+async function buildRoutingNotification(lead, rule, recipients) {
+  if (process.env.EMAIL_NOTIFICATIONS !== 'true' || recipients.length === 0) return null;
+  return buildTemplatedEmail('lead_routed', { rule: { name: rule.name }, lead: getLeadTemplateVariables(lead) }, {
+    to: recipients,
+    from: {
+      email: getSenderEmail(),
+      name: 'Connecting Dots ERP Notifications'
+    },
+    replyTo: lead.email
+  }, lead._id);
+}
 
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid lead ID format." });
-    }
+// --- Notification Outbox ---
+// Emails and webhooks are not sent inside request handlers. They are written to the OutboxMessage collection
+// (in the same transaction as the data they belong to, where possible) and delivered by this worker.
+// Failed deliveries are retried with exponential backoff and dead-lettered as 'failed' after
+// maxAttempts; GET /api/outbox lists them and POST /api/outbox/:id/retry requeues one.
+const OUTBOX_INTERVAL_MS = parseInt(process.env.OUTBOX_INTERVAL_MS, 10) || 15 * 1000;
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 6;
+const OUTBOX_RETRY_BASE_MS = 30 * 1000;
+const OUTBOX_RETRY_MAX_MS = 60 * 60 * 1000;
+const OUTBOX_LOCK_MS = 5 * 60 * 1000; // A message stuck in 'processing' this long is picked up again
+const OUTBOX_BATCH_SIZE = 50;
+let outboxRunning = false;
+let transactionsSupported = true;
+
+function isTransactionUnsupportedError(error) {
+  return error && (error.code === 20 || /Transaction numbers are only allowed|replica set/i.test(error.message || ''));
+}
 
-    // Store original lead data for audit log
-    const originalLead = await User.findById(id).populate('assignedTo', 'username role').lean();
-    if (!originalLead) {
-      return res.status(404).json({ message: "Lead not found." });
+// Run `work(session)` in a transaction. Standalone MongoDB servers (typical for local development)
+// have no transactions; there `work(null)` runs without one and the outbox is no longer atomic.
+async function runInTransaction(work) {
+  if (transactionsSupported) {
+    try {
+      let result;
+      await mongoose.connection.transaction(async (session) => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (!isTransactionUnsupportedError(error)) throw error;
+      transactionsSupported = false;
+      console.warn('MongoDB transactions are not available (standalone server); outbox writes will not be transactional.');
     }
+  }
+  return work(null);
+}
 
-    // Check if lead editing is restricted to assigned users
-    const restrictLeadEditingSetting = await Settings.findOne({ key: 'restrictLeadEditing' }).lean();
-    const restrictLeadEditing = restrictLeadEditingSetting ? restrictLeadEditingSetting.value : false;
+// Insert outbox entries (from buildTemplatedEmail); pass the session to join the caller's transaction
+async function enqueueOutboxMessages(entries, session = null) {
+  const messages = entries.filter(Boolean).map(entry => ({ ...entry, maxAttempts: OUTBOX_MAX_ATTEMPTS }));
+  if (messages.length === 0) return [];
+  const created = await OutboxMessage.insertMany(messages, session ? { session } : {});
+  if (!session) triggerOutboxProcessing();
+  return created;
+}
 
-    // If editing is restricted, check permissions
-    if (restrictLeadEditing && req.admin.role !== 'SuperAdmin' && req.admin.role !== 'Admin') {
-      // Check if current user is the assigned user for this lead
-      const currentAdminId = req.admin.id.toString();
-      const assignedToId = originalLead.assignedTo ? originalLead.assignedTo._id.toString() : null;
+function getOutboxRetryDelay(attempts) {
+  return Math.min(OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1), OUTBOX_RETRY_MAX_MS);
+}
 
-      // If user is not the assigned user
-      if (assignedToId !== currentAdminId) {
-        return res.status(403).json({
-          message: "You can only edit leads assigned to you when restriction mode is enabled.",
-          restricted: true
-        });
+// Deliver one message; resolves with optional details ({ responseStatus }) to store on the entry.
+// Errors flagged `permanent` are dead-lettered without further retries.
+async function deliverOutboxMessage(entry) {
+  switch (entry.channel) {
+    case 'email':
+      await sendEmail(entry.message);
+      return {};
+    case 'webhook':
+      return deliverWebhook(entry);
+    default:
+      throw new Error(`Unsupported outbox channel "${entry.channel}"`);
+  }
+}
+
+async function processOutbox() {
+  if (outboxRunning) return; // Previous run still in progress
+  outboxRunning = true;
+  try {
+    for (let i = 0; i < OUTBOX_BATCH_SIZE; i++) {
+      const now = new Date();
+      // Claim one due message atomically so parallel workers never deliver the same message
+      const entry = await OutboxMessage.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'processing', lockedUntil: { $lte: now } }
+          ]
+        },
+        {
+          $set: { status: 'processing', lockedUntil: new Date(now.getTime() + OUTBOX_LOCK_MS), updatedAt: now },
+          $inc: { attempts: 1 }
+        },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ).lean();
+      if (!entry) break;
+
+      try {
+        const result = await deliverOutboxMessage(entry);
+        await OutboxMessage.updateOne(
+          { _id: entry._id },
+          {
+            $set: {
+              status: 'sent',
+              sentAt: new Date(),
+              lockedUntil: null,
+              lastError: null,
+              responseStatus: result.responseStatus || null,
+              updatedAt: new Date()
+            }
+          }
+        );
+      } catch (deliveryError) {
+        const lastError = deliveryError.response ? JSON.stringify(deliveryError.response.body) : deliveryError.message;
+        const responseStatus = deliveryError.responseStatus || null;
+        const deadLettered = deliveryError.permanent || entry.attempts >= entry.maxAttempts;
+        await OutboxMessage.updateOne(
+          { _id: entry._id },
+          {
+            $set: deadLettered
+              ? { status: 'failed', failedAt: new Date(), lockedUntil: null, lastError, responseStatus, updatedAt: new Date() }
+              : {
+                  status: 'pending',
+                  nextAttemptAt: new Date(Date.now() + getOutboxRetryDelay(entry.attempts)),
+                  lockedUntil: null,
+                  lastError,
+                  responseStatus,
+                  updatedAt: new Date()
+                }
+          }
+        );
+        console.error(`Outbox ${entry.channel} ${entry._id} attempt ${entry.attempts}/${entry.maxAttempts} failed${deadLettered ? ' (dead-lettered)' : ''}:`, lastError);
+      }
+    }
+  } catch (error) {
+    console.error('Error processing outbox:', error);
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+// Deliver freshly queued messages right away instead of waiting for the next interval
+function triggerOutboxProcessing() {
+  setImmediate(processOutbox);
+}
+
+function startOutboxWorker() {
+  setInterval(processOutbox, OUTBOX_INTERVAL_MS);
+  console.log(`Outbox worker running every ${OUTBOX_INTERVAL_MS / 1000}s`);
+  triggerOutboxProcessing();
+}
+
+// --- Outgoing Webhooks ---
+// Lead and admin events are POSTed as JSON to every active subscription listening for them. Deliveries
+// go through the outbox (channel 'webhook'), so they are retried with backoff and dead-lettered like
+// emails. Each request carries:
+//   X-Webhook-Event, X-Webhook-Delivery (outbox ID, stable across retries), X-Webhook-Timestamp (unix s)
+//   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${rawBody}`) in hex
+const WEBHOOK_EVENTS = [
+  'lead.created', 'lead.updated', 'lead.status_changed', 'lead.assigned', 'lead.deleted', 'lead.merged',
+  'admin.created', 'admin.updated', 'admin.deleted', 'admin.deactivated'
+];
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+
+// Webhook URLs may not point into our own network (loopback, private, link-local incl. cloud metadata,
+// NAT64, benchmarking, multicast and reserved ranges). WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this for local development.
+const blockedWebhookAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+  .forEach(([address, prefix]) => blockedWebhookAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => blockedWebhookAddresses.addSubnet(address, prefix, 'ipv6'));
+const WEBHOOK_BLOCKED_ADDRESS_MESSAGE = 'Webhook URL must not point to a loopback, private or link-local address.';
+
+function isBlockedWebhookAddress(address) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return false;
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+  if (mapped) return blockedWebhookAddresses.check(mapped[1], 'ipv4');
+  return blockedWebhookAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function getWebhookHostname(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '');
+}
+
+// Resolve the URL's host and return an error message if any address is internal, or null if it is allowed.
+// Used to reject bad URLs when a subscription is saved; deliveries are guarded by webhookLookup instead.
+async function checkWebhookTarget(url) {
+  const hostname = getWebhookHostname(url);
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (e) {
+    return `Could not resolve webhook host "${hostname}".`;
+  }
+  if (addresses.some(({ address }) => isBlockedWebhookAddress(address))) {
+    return WEBHOOK_BLOCKED_ADDRESS_MESSAGE;
+  }
+  return null;
+}
+
+// dns.lookup for webhook sockets: the connection is made to the addresses checked here, so a host
+// cannot pass a separate check and then resolve to an internal address (DNS rebinding)
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(({ address }) => isBlockedWebhookAddress(address))) {
+      return callback(new Error(WEBHOOK_BLOCKED_ADDRESS_MESSAGE));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+const webhookAgents = {
+  'http:': new http.Agent({ keepAlive: true, lookup: webhookLookup }),
+  'https:': new https.Agent({ keepAlive: true, lookup: webhookLookup })
+};
+
+// POST a webhook body and resolve with the response status. Redirects are not followed, since one could
+// lead to an internal address; a 3xx counts as a failed delivery. IP literals skip DNS, so they are checked here.
+function postWebhook(url, headers, body) {
+  const target = new URL(url);
+  const hostname = getWebhookHostname(url);
+  if (net.isIP(hostname) && isBlockedWebhookAddress(hostname)) {
+    return Promise.reject(new Error(WEBHOOK_BLOCKED_ADDRESS_MESSAGE));
+  }
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      agent: webhookAgents[target.protocol],
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, (response) => {
+      response.resume(); // The body is not used
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+const WEBHOOK_LEAD_FIELDS = [
+  'name', 'email', 'contact', 'countryCode', 'coursename', 'location', 'status', 'source', 'sourceForm',
+  'attribution', 'tags', 'assignedTo', 'createdAt', 'updatedAt'
+];
+
+function getLeadWebhookData(lead) {
+  const data = { id: lead._id };
+  for (const field of WEBHOOK_LEAD_FIELDS) {
+    data[field] = lead[field] === undefined ? null : lead[field];
+  }
+  return data;
+}
+
+function getAdminWebhookData(admin) {
+  return {
+    id: admin._id,
+    username: admin.username,
+    email: admin.email || null,
+    role: admin.role,
+    active: admin.active,
+    location: admin.location || null
+  };
+}
+
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function buildWebhookDelivery(subscriptionId, event, data, leadId = null) {
+  const _id = new mongoose.Types.ObjectId();
+  return {
+    _id,
+    channel: 'webhook',
+    event,
+    webhookId: subscriptionId,
+    leadId,
+    message: { body: JSON.stringify({ id: _id, event, occurredAt: new Date(), data }) }
+  };
+}
+
+// Queue `event` for every subscription that listens to it. With a session the deliveries join the
+// caller's transaction; without one, failures are logged and never break the calling request.
+async function emitWebhookEvent(event, data, { session = null, leadId = null } = {}) {
+  try {
+    const subscriptions = await WebhookSubscription.find({ active: true, events: { $in: [event, '*'] } })
+      .select('_id')
+      .session(session)
+      .lean();
+    if (subscriptions.length === 0) return;
+    await enqueueOutboxMessages(subscriptions.map(sub => buildWebhookDelivery(sub._id, event, data, leadId)), session);
+  } catch (error) {
+    if (session) throw error;
+    console.error(`Error queueing webhook event ${event}:`, error);
+  }
+}
+
+// lead.updated plus lead.status_changed / lead.assigned when those fields changed
+async function emitLeadUpdateEvents(before, after) {
+  const changedFields = WEBHOOK_LEAD_FIELDS.filter(field =>
+    JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+  if (changedFields.length === 0) return; // Nothing a subscriber can see changed
+
+  const data = getLeadWebhookData(after);
+  await emitWebhookEvent('lead.updated', { ...data, changedFields }, { leadId: after._id });
+  if (before.status !== after.status) {
+    await emitWebhookEvent('lead.status_changed', { ...data, previousStatus: before.status }, { leadId: after._id });
+  }
+  if (String(before.assignedTo || '') !== String(after.assignedTo || '')) {
+    await emitWebhookEvent('lead.assigned', { ...data, previousAssignedTo: before.assignedTo || null }, { leadId: after._id });
+  }
+}
+
+async function deliverWebhook(entry) {
+  const subscription = await WebhookSubscription.findById(entry.webhookId).lean();
+  if (!subscription || !subscription.active) {
+    const error = new Error('Webhook subscription was deleted or deactivated');
+    error.permanent = true;
+    throw error;
+  }
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const responseStatus = await postWebhook(subscription.url, {
+    'Content-Type': 'application/json',
+    'User-Agent': 'ConnectingDotsERP-Webhooks/1.0',
+    'X-Webhook-Event': entry.event,
+    'X-Webhook-Delivery': String(entry._id),
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': `sha256=${signWebhookPayload(subscription.secret, timestamp, entry.message.body)}`
+  }, entry.message.body);
+  if (responseStatus < 200 || responseStatus >= 300) {
+    const error = new Error(`Webhook endpoint responded with HTTP ${responseStatus}`);
+    error.responseStatus = responseStatus;
+    throw error;
+  }
+  return { responseStatus };
+}
+
+// --- Task Reminder Scheduler ---
+// Periodically flags follow-up tasks that passed their due time and emails the assignee once per task.
+const TASK_REMINDER_INTERVAL_MS = parseInt(process.env.TASK_REMINDER_INTERVAL_MS, 10) || 60 * 1000;
+let taskReminderRunning = false;
+
+async function processOverdueTasks() {
+  if (taskReminderRunning) return; // Previous run still in progress
+  taskReminderRunning = true;
+  try {
+    const now = new Date();
+    const dueTasks = await Task.find({ completed: false, overdueNotifiedAt: null, dueAt: { $lte: now } })
+      .sort({ dueAt: 1 })
+      .limit(100)
+      .lean();
+
+    for (const dueTask of dueTasks) {
+      // Claim the task atomically so a second server instance doesn't notify twice
+      const task = await Task.findOneAndUpdate(
+        { _id: dueTask._id, overdueNotifiedAt: null },
+        { $set: { overdue: true, overdueNotifiedAt: now } },
+        { new: true }
+      ).populate('assignedTo', 'username email active').populate('leadId', 'name email contact countryCode coursename');
+      if (!task || !task.assignedTo || !task.assignedTo.email || !task.assignedTo.active) continue;
+
+      const lead = task.leadId || {};
+      try {
+        await queueTemplatedEmail('task_overdue', {
+          assignee: { username: task.assignedTo.username },
+          task: { type: task.type, title: task.title, dueAt: task.dueAt.toLocaleString(), description: task.description || '' },
+          lead: {
+            name: lead.name || 'Unknown',
+            email: lead.email || '-',
+            contact: `${lead.countryCode ? `${lead.countryCode} ` : ''}${lead.contact || '-'}`,
+            coursename: lead.coursename || 'N/A'
+          }
+        }, {
+          to: task.assignedTo.email,
+          from: getSenderEmail()
+        }, lead._id || null);
+      } catch (emailError) {
+        console.error(`Error queueing overdue reminder for task ${task._id}:`, emailError.message);
+      }
+    }
+  } catch (error) {
+    console.error('Error processing overdue tasks:', error);
+  } finally {
+    taskReminderRunning = false;
+  }
+}
+
+function startTaskReminderScheduler() {
+  setInterval(processOverdueTasks, TASK_REMINDER_INTERVAL_MS);
+  console.log(`Task reminder scheduler running every ${TASK_REMINDER_INTERVAL_MS / 1000}s`);
+}
+
+// --- Lead SLA ---
+// The `leadSla` setting defines how quickly a new lead must get its first response (first status change
+// or comment by a counselor), measured in business hours. Each lead gets `slaDueAt` at creation; the
+// SLA job marks leads still untouched after that time as breached and escalates them once.
+const DEFAULT_LEAD_SLA = {
+  enabled: false,
+  firstResponseHours: 2,
+  businessHours: {
+    enabled: true,
+    timezoneOffsetMinutes: 330, // IST
+    days: [1, 2, 3, 4, 5, 6], // 0 = Sunday
+    start: '09:00',
+    end: '18:00',
+    holidays: [] // 'YYYY-MM-DD' dates in the business timezone
+  },
+  escalation: {
+    reassign: false, // Move the lead to another admin from reassignPool
+    reassignPool: [],
+    reassignStrategy: 'least_loaded',
+    notifyEmails: [],
+    notifyRoles: [], // Every active admin with one of these roles is emailed, e.g. ['Admin']
+    notifyAssignee: true
+  }
+};
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns an error message for an invalid SLA configuration, or null if it is valid
+function validateLeadSla(sla) {
+  if (!sla || typeof sla !== 'object' || Array.isArray(sla)) return 'SLA configuration must be an object';
+  if (sla.enabled !== undefined && typeof sla.enabled !== 'boolean') return 'enabled must be a boolean';
+  if (sla.firstResponseHours !== undefined && !(typeof sla.firstResponseHours === 'number' && sla.firstResponseHours > 0)) {
+    return 'firstResponseHours must be a positive number';
+  }
+
+  const hours = sla.businessHours;
+  if (hours !== undefined) {
+    if (!hours || typeof hours !== 'object') return 'businessHours must be an object';
+    if (hours.start !== undefined && !CLOCK_PATTERN.test(hours.start)) return 'businessHours.start must be HH:MM';
+    if (hours.end !== undefined && !CLOCK_PATTERN.test(hours.end)) return 'businessHours.end must be HH:MM';
+    if ((hours.start || DEFAULT_LEAD_SLA.businessHours.start) >= (hours.end || DEFAULT_LEAD_SLA.businessHours.end)) {
+      return 'businessHours.start must be before businessHours.end';
+    }
+    if (hours.days !== undefined &&
+        (!Array.isArray(hours.days) || !hours.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      return 'businessHours.days must be an array of weekday numbers (0-6)';
+    }
+    if (hours.timezoneOffsetMinutes !== undefined &&
+        !(Number.isInteger(hours.timezoneOffsetMinutes) && Math.abs(hours.timezoneOffsetMinutes) <= 14 * 60)) {
+      return 'businessHours.timezoneOffsetMinutes must be an integer between -840 and 840';
+    }
+    if (hours.holidays !== undefined &&
+        (!Array.isArray(hours.holidays) || !hours.holidays.every(day => /^\d{4}-\d{2}-\d{2}$/.test(day)))) {
+      return 'businessHours.holidays must be an array of YYYY-MM-DD dates';
+    }
+  }
+
+  const escalation = sla.escalation;
+  if (escalation !== undefined) {
+    if (!escalation || typeof escalation !== 'object') return 'escalation must be an object';
+    if (escalation.reassignPool !== undefined &&
+        (!Array.isArray(escalation.reassignPool) || !escalation.reassignPool.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return 'escalation.reassignPool must be an array of admin IDs';
+    }
+    if (escalation.reassignStrategy !== undefined && !['round_robin', 'least_loaded', 'weighted'].includes(escalation.reassignStrategy)) {
+      return 'escalation.reassignStrategy must be round_robin, least_loaded or weighted';
+    }
+    if (escalation.notifyEmails !== undefined &&
+        (!Array.isArray(escalation.notifyEmails) || !escalation.notifyEmails.every(email => EMAIL_PATTERN.test(email)))) {
+      return 'escalation.notifyEmails must be an array of email addresses';
+    }
+    if (escalation.notifyRoles !== undefined && !Array.isArray(escalation.notifyRoles)) {
+      return 'escalation.notifyRoles must be an array of role names';
+    }
+  }
+  return null;
+}
+
+async function getLeadSla() {
+  const setting = await Settings.findOne({ key: 'leadSla' }).lean();
+  const value = setting && !validateLeadSla(setting.value) ? setting.value : {};
+  return {
+    ...DEFAULT_LEAD_SLA,
+    ...value,
+    businessHours: { ...DEFAULT_LEAD_SLA.businessHours, ...(value.businessHours || {}) },
+    escalation: { ...DEFAULT_LEAD_SLA.escalation, ...(value.escalation || {}) }
+  };
+}
+
+function clockToMs(clock) {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return (hours * 60 + minutes) * 60 * 1000;
+}
+
+// Business window (UTC ms) of the business-timezone day starting at `localDayStart`, or null when closed
+function getBusinessWindow(localDayStart, hours) {
+  const day = new Date(localDayStart);
+  if (!hours.days.includes(day.getUTCDay()) || (hours.holidays || []).includes(day.toISOString().slice(0, 10))) {
+    return null;
+  }
+  const offsetMs = hours.timezoneOffsetMinutes * 60 * 1000;
+  return {
+    open: localDayStart + clockToMs(hours.start) - offsetMs,
+    close: localDayStart + clockToMs(hours.end) - offsetMs
+  };
+}
+
+function getLocalDayStart(time, hours) {
+  const offsetMs = hours.timezoneOffsetMinutes * 60 * 1000;
+  return Math.floor((time + offsetMs) / DAY_MS) * DAY_MS;
+}
+
+// `start` plus the given number of business minutes (wall-clock minutes when business hours are off)
+function addBusinessMinutes(start, minutes, hours) {
+  const startMs = new Date(start).getTime();
+  if (!hours.enabled || hours.days.length === 0) return new Date(startMs + minutes * 60 * 1000);
+
+  let remaining = minutes * 60 * 1000;
+  let localDayStart = getLocalDayStart(startMs, hours);
+  for (let i = 0; i < 730; i++, localDayStart += DAY_MS) { // Two years is plenty even with many holidays
+    const window = getBusinessWindow(localDayStart, hours);
+    if (!window) continue;
+    const from = Math.max(startMs, window.open);
+    if (from >= window.close) continue;
+    if (remaining <= window.close - from) return new Date(from + remaining);
+    remaining -= window.close - from;
+  }
+  return new Date(startMs + minutes * 60 * 1000);
+}
+
+// Business minutes elapsed between two dates
+function businessMinutesBetween(start, end, hours) {
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  if (endMs <= startMs) return 0;
+  if (!hours.enabled) return Math.round((endMs - startMs) / 60000);
+
+  let total = 0;
+  for (let localDayStart = getLocalDayStart(startMs, hours); localDayStart <= getLocalDayStart(endMs, hours); localDayStart += DAY_MS) {
+    const window = getBusinessWindow(localDayStart, hours);
+    if (!window) continue;
+    total += Math.max(0, Math.min(endMs, window.close) - Math.max(startMs, window.open));
+  }
+  return Math.round(total / 60000);
+}
+
+// SLA deadline for a lead created at `createdAt`, or null when SLAs are disabled
+function computeSlaDueAt(createdAt, sla) {
+  if (!sla.enabled) return null;
+  return addBusinessMinutes(createdAt, sla.firstResponseHours * 60, sla.businessHours);
+}
+
+// Set slaDueAt on a new, unsaved lead unless it starts in a terminal stage
+function applyLeadSla(lead, sla, pipeline) {
+  const stage = findPipelineStage(pipeline, lead.status);
+  if (stage && stage.terminal) return;
+  lead.slaDueAt = computeSlaDueAt(lead.createdAt || new Date(), sla);
+}
+
+// Stamp the first response (status change or comment by an admin) on leads that have none yet
+async function recordFirstResponse(leadIds, respondedBy) {
+  if (!respondedBy || leadIds.length === 0) return;
+  try {
+    const now = new Date();
+    const leads = await User.find({ _id: { $in: leadIds }, firstResponseAt: null }).select('createdAt slaDueAt').lean();
+    if (leads.length === 0) return;
+
+    const sla = await getLeadSla();
+    await User.bulkWrite(leads.map(lead => ({
+      updateOne: {
+        filter: { _id: lead._id, firstResponseAt: null },
+        update: {
+          $set: {
+            firstResponseAt: now,
+            firstResponseBy: respondedBy,
+            firstResponseMinutes: businessMinutesBetween(lead.createdAt, now, sla.businessHours),
+            slaMet: lead.slaDueAt ? now <= lead.slaDueAt : null
+          }
+        }
+      }
+    })));
+  } catch (err) {
+    console.error('Error recording first response:', err);
+  }
+}
+
+const SLA_CHECK_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS, 10) || 5 * 60 * 1000;
+let slaCheckRunning = false;
+
+async function escalateSlaBreach(lead, sla) {
+  const { escalation } = sla;
+  const previousAssignee = lead.assignedTo ? lead.assignedTo.toString() : null;
+  const update = { slaEscalatedAt: new Date() };
+
+  if (escalation.reassign) {
+    const pool = (escalation.reassignPool || []).map(String).filter(id => id !== previousAssignee);
+    const newAssignee = pool.length > 0
+      ? await assignLead(lead, { pool, strategy: escalation.reassignStrategy, combineWithLocation: false })
+      : null;
+    if (newAssignee) {
+      update.assignedTo = newAssignee;
+      update.slaEscalatedFrom = previousAssignee;
+    }
+  }
+  await User.updateOne({ _id: lead._id }, { $set: update });
+  if (update.assignedTo) {
+    await emitWebhookEvent('lead.assigned', {
+      ...getLeadWebhookData({ ...lead, assignedTo: update.assignedTo }),
+      previousAssignedTo: previousAssignee,
+      reason: 'sla_escalation'
+    }, { leadId: lead._id });
+  }
+  await logAction(null, 'sla_escalation', 'User', {
+    userId: lead._id,
+    slaDueAt: lead.slaDueAt,
+    previousAssignee,
+    reassignedTo: update.assignedTo || null
+  });
+
+  const recipients = new Set(escalation.notifyEmails || []);
+  const notifyAdminFilter = [];
+  if (escalation.notifyRoles && escalation.notifyRoles.length > 0) notifyAdminFilter.push({ role: { $in: escalation.notifyRoles } });
+  if (escalation.notifyAssignee) {
+    const assigneeIds = [previousAssignee, update.assignedTo].filter(Boolean);
+    if (assigneeIds.length > 0) notifyAdminFilter.push({ _id: { $in: assigneeIds } });
+  }
+  if (notifyAdminFilter.length > 0) {
+    const admins = await Admin.find({ $or: notifyAdminFilter, active: true }).select('email').lean();
+    admins.filter(admin => admin.email).forEach(admin => recipients.add(admin.email));
+  }
+  if (recipients.size === 0 || process.env.EMAIL_NOTIFICATIONS !== 'true') return;
+
+  try {
+    await queueTemplatedEmail('sla_escalation', {
+      sla: { firstResponseHours: sla.firstResponseHours },
+      reassigned: Boolean(update.assignedTo),
+      lead: getLeadTemplateVariables(lead)
+    }, {
+      to: [...recipients],
+      from: getSenderEmail()
+    }, lead._id);
+  } catch (emailError) {
+    console.error(`Error queueing SLA escalation for lead ${lead._id}:`, emailError.message);
+  }
+}
+
+async function processSlaBreaches() {
+  if (slaCheckRunning) return; // Previous run still in progress
+  slaCheckRunning = true;
+  try {
+    const sla = await getLeadSla();
+    if (!sla.enabled) return;
+
+    const pipeline = await getLeadPipeline();
+    const terminalStages = pipeline.stages.filter(stage => stage.terminal).map(stage => stage.name);
+    const now = new Date();
+    const overdue = await User.find({
+      firstResponseAt: null,
+      slaBreachedAt: null,
+      slaDueAt: { $ne: null, $lte: now },
+      archivedAt: null,
+      status: { $nin: terminalStages }
+    }).sort({ slaDueAt: 1 }).limit(100).lean();
+
+    for (const candidate of overdue) {
+      // Claim the breach atomically so a second server instance doesn't escalate twice
+      const lead = await User.findOneAndUpdate(
+        { _id: candidate._id, slaBreachedAt: null, firstResponseAt: null },
+        { $set: { slaBreachedAt: now, slaMet: false } },
+        { new: true }
+      ).lean();
+      if (!lead) continue;
+      await escalateSlaBreach(lead, sla);
+    }
+  } catch (error) {
+    console.error('Error processing SLA breaches:', error);
+  } finally {
+    slaCheckRunning = false;
+  }
+}
+
+function startSlaScheduler() {
+  setInterval(processSlaBreaches, SLA_CHECK_INTERVAL_MS);
+  console.log(`SLA scheduler running every ${SLA_CHECK_INTERVAL_MS / 1000}s`);
+}
+
+// --- Lead Intake ---
+// Every externally submitted lead (website forms and future sources) goes through intakeLead so that
+// normalization, field whitelisting, duplicate checks, routing/assignment and notifications are identical.
+const INTAKE_LEAD_FIELDS = ['name', 'email', 'contact', 'countryCode', 'coursename', 'location'];
+const DEFAULT_COUNTRY_CODE = '+91';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Whitelist and trim the submitted fields
+function normalizeIntakeInput(input) {
+  const data = {};
+  for (const field of INTAKE_LEAD_FIELDS) {
+    const value = input[field];
+    if (typeof value === 'string' && value.trim() !== '') {
+      data[field] = value.trim();
+    }
+  }
+  if (data.email) data.email = data.email.toLowerCase();
+  data.countryCode = data.countryCode || DEFAULT_COUNTRY_CODE;
+  return data;
+}
+
+// Attribution field -> accepted input names. Values may be sent at the top level (utm_source=...)
+// or nested in an `attribution` object using either naming style.
+const ATTRIBUTION_FIELD_ALIASES = {
+  utmSource: ['utm_source', 'utmSource'],
+  utmMedium: ['utm_medium', 'utmMedium'],
+  utmCampaign: ['utm_campaign', 'utmCampaign'],
+  utmTerm: ['utm_term', 'utmTerm'],
+  utmContent: ['utm_content', 'utmContent'],
+  referrer: ['referrer', 'referer', 'document_referrer'],
+  landingPage: ['landing_page', 'landingPage', 'landing_page_url', 'page_url', 'pageUrl'],
+  formId: ['form_id', 'formId']
+};
+const MAX_ATTRIBUTION_LENGTH = 500;
+
+function normalizeAttribution(input) {
+  const nested = input.attribution && typeof input.attribution === 'object' ? input.attribution : {};
+  const attribution = {};
+  for (const [field, aliases] of Object.entries(ATTRIBUTION_FIELD_ALIASES)) {
+    for (const alias of aliases) {
+      const value = nested[alias] !== undefined ? nested[alias] : input[alias];
+      if (typeof value === 'string' && value.trim() !== '') {
+        attribution[field] = value.trim().slice(0, MAX_ATTRIBUTION_LENGTH);
+        break;
+      }
+    }
+  }
+  return attribution;
+}
+
+// Existing lead with the same email or contact number, if any
+async function findDuplicateLead({ email, contact }) {
+  const existing = await User.findOne({ $or: [{ email }, { contact }] }).lean();
+  if (!existing) return null;
+
+  let message = "This record cannot be added because of a duplicate entry.";
+  if (existing.email === email) {
+    message = "This email address is already registered. Please use a different email.";
+  } else if (existing.contact === contact) {
+    message = "This contact number is already registered. Please use a different number.";
+  }
+  return { lead: existing, message };
+}
+
+// Outbox entry for the internal new-lead notification, or null when notifications are off (EMAIL_NOTIFICATIONS must be "true")
+async function buildNewLeadNotification(lead) {
+  if (process.env.EMAIL_NOTIFICATIONS !== 'true') return null;
+  if (!process.env.NOTIFICATION_EMAIL) {
+    console.warn("New lead notification skipped: NOTIFICATION_EMAIL is not set.");
+    return null;
+  }
+
+  return buildTemplatedEmail('new_lead_notification', { lead: getLeadTemplateVariables(lead) }, {
+    to: process.env.NOTIFICATION_EMAIL,
+    from: {
+      email: getSenderEmail(),
+      name: 'Connecting Dots ERP Notifications'
+    },
+    replyTo: lead.email
+  }, lead._id);
+}
+
+// Autoresponder: acknowledgement email to the prospect. Course details come from the
+// `autoresponder` setting (courseDetails maps course names, case-insensitively, to a short blurb).
+const DEFAULT_AUTORESPONDER = {
+  enabled: true,
+  courseDetails: {},
+  replyTo: '' // Defaults to the assigned counselor's email
+};
+
+function validateAutoresponder(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'Autoresponder configuration must be an object';
+  if (config.enabled !== undefined && typeof config.enabled !== 'boolean') return 'enabled must be a boolean';
+  if (config.courseDetails !== undefined) {
+    if (!config.courseDetails || typeof config.courseDetails !== 'object' || Array.isArray(config.courseDetails) ||
+        !Object.values(config.courseDetails).every(details => typeof details === 'string')) {
+      return 'courseDetails must map course names to text';
+    }
+  }
+  if (config.replyTo && !EMAIL_PATTERN.test(config.replyTo)) return 'replyTo must be an email address';
+  return null;
+}
+
+// Outbox entry for the prospect acknowledgement, or null when the autoresponder is disabled
+async function buildProspectAutoresponder(lead) {
+  const setting = await Settings.findOne({ key: 'autoresponder' }).lean();
+  const config = { ...DEFAULT_AUTORESPONDER, ...(setting && !validateAutoresponder(setting.value) ? setting.value : {}) };
+  if (!config.enabled) return null;
+
+  const counselor = lead.assignedTo
+    ? await Admin.findOne({ _id: lead.assignedTo, active: true }).select('username email').lean()
+    : null;
+  const courseKey = Object.keys(config.courseDetails || {})
+    .find(name => name.toLowerCase() === (lead.coursename || '').trim().toLowerCase());
+
+  return buildTemplatedEmail('prospect_autoresponder', {
+    lead: { name: lead.name },
+    course: { name: lead.coursename || '', details: courseKey ? config.courseDetails[courseKey] : '' },
+    counselor: counselor ? { name: counselor.username, email: counselor.email || '' } : {}
+  }, {
+    to: lead.email,
+    from: {
+      email: getSenderEmail(),
+      name: 'Connecting Dots ERP'
+    },
+    ...(config.replyTo || counselor?.email ? { replyTo: config.replyTo || counselor.email } : {})
+  }, lead._id);
+}
+
+// Create a lead from an external submission; `autoresponder` also emails the prospect an acknowledgement.
+// Returns { ok: true, lead } or { ok: false, status, reason: 'validation' | 'duplicate', message }.
+async function intakeLead(input, { source, sourceForm, autoresponder = false }) {
+  const data = normalizeIntakeInput(input || {});
+
+  if (!data.name || !data.email || !data.contact) {
+    return { ok: false, status: 400, reason: 'validation', message: "Please fill in Name, Email, and Contact Number." };
+  }
+  if (!EMAIL_PATTERN.test(data.email)) {
+    return { ok: false, status: 400, reason: 'validation', message: "Please enter a valid email address." };
+  }
+
+  const duplicate = await findDuplicateLead(data);
+  if (duplicate) {
+    console.log(`Duplicate lead rejected (${sourceForm || source}): ${duplicate.message}`);
+    return { ok: false, status: 400, reason: 'duplicate', message: duplicate.message, existingLeadId: duplicate.lead._id };
+  }
+
+  const pipeline = await getLeadPipeline();
+  const lead = new User({
+    ...data,
+    status: getInitialLeadStage(pipeline),
+    source,
+    sourceForm,
+    attribution: normalizeAttribution(input || {})
+  });
+
+  const routing = await routeLead(lead);
+  applyLeadSla(lead, await getLeadSla(), pipeline);
+
+  // Notifications are rendered up front and committed together with the lead
+  const notifications = [await buildNewLeadNotification(lead)];
+  if (routing.rule) {
+    notifications.push(await buildRoutingNotification(lead, routing.rule, routing.notify));
+  }
+  if (autoresponder) {
+    notifications.push(await buildProspectAutoresponder(lead));
+  }
+
+  try {
+    await runInTransaction(async (session) => {
+      await lead.save({ session });
+      await enqueueOutboxMessages(notifications, session);
+      await emitWebhookEvent('lead.created', getLeadWebhookData(lead), { session, leadId: lead._id });
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { ok: false, status: 400, reason: 'validation', message: error.message };
+    }
+    throw error;
+  }
+  console.log(`Lead created via ${sourceForm || source}:`, lead._id);
+  triggerOutboxProcessing();
+
+  return { ok: true, lead };
+}
+
+// --- API Routes ---
+
+// --- Contact Form Route (Lead Creation) ---
+app.post("/api/contact-form", async (req, res) => {
+  try {
+    const result = await intakeLead(req.body, { source: 'web_form', sourceForm: 'contact-form', autoresponder: true });
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.status(201).json({ success: true, message: "Form submitted successfully!" });
+  } catch (error) {
+    console.error("Error submitting form:", error);
+    res.status(500).json({ success: false, message: "Error submitting form. Please try again later." });
+  }
+});
+
+// === Form Submission Route ===
+app.post("/api/submit", async (req, res) => {
+  try {
+    const result = await intakeLead(req.body, { source: 'web_form', sourceForm: 'submit', autoresponder: true });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    return res.status(201).json({ message: "Registration successful! We will contact you soon." });
+  } catch (dbError) {
+    console.error("!!! Error during database operation in /api/submit:", dbError);
+    return res.status(500).json({ message: "An internal server error occurred. Please try again later.", error: dbError.message });
+  }
+});
+
+// === Lead Ingestion (Ad Platforms) ===
+// POST /api/ingest/:provider accepts leads in the provider's own payload format. Each adapter
+// authenticates the request and maps the payload to intake fields; the leads then go through
+// intakeLead (dedupe, routing/assignment, notifications) with the provider as their source.
+//   facebook - Lead Ads webhook. Signed with X-Hub-Signature-256 (FACEBOOK_APP_SECRET); the
+//              GET handshake answers hub.challenge when hub.verify_token matches FACEBOOK_VERIFY_TOKEN.
+//              Payloads carrying only a leadgen_id are fetched from the Graph API (FACEBOOK_PAGE_ACCESS_TOKEN).
+//   google   - Google Ads lead form webhook; `google_key` must equal GOOGLE_ADS_WEBHOOK_KEY.
+//   justdial - JustDial lead push (JSON, form or query string); token in ?token= or X-Ingest-Token
+//              must equal JUSTDIAL_TOKEN.
+//   generic  - Our own field names; X-Api-Key must equal INGEST_API_KEY.
+const FACEBOOK_GRAPH_API_URL = 'https://graph.facebook.com/v19.0';
+
+// Compare secrets without leaking their length or content through timing
+function secretsMatch(provided, expected) {
+  if (typeof provided !== 'string' || typeof expected !== 'string' || !expected) return false;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+// "+91 98765 43210" -> { countryCode: '+91', contact: '9876543210' }
+function splitPhoneNumber(raw) {
+  const value = String(raw || '').trim();
+  const digits = value.replace(/\D/g, '');
+  if (value.startsWith('+') && digits.length > 10) {
+    return { countryCode: `+${digits.slice(0, digits.length - 10)}`, contact: digits.slice(-10) };
+  }
+  return { contact: digits.length > 10 && digits.startsWith('0') ? digits.slice(-10) : digits };
+}
+
+// Map provider question/column names to intake fields using the CSV import aliases, so
+// "full_name", "Phone Number" or "Which course are you interested in?" all land in the right field
+function mapProviderFields(pairs) {
+  const input = {};
+  let firstName = '';
+  let lastName = '';
+  for (const { key, value } of pairs) {
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+    const normalized = String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (normalized === 'firstname') { firstName = String(value).trim(); continue; }
+    if (normalized === 'lastname') { lastName = String(value).trim(); continue; }
+
+    let field = Object.keys(IMPORT_HEADER_ALIASES)
+      .find(candidate => ['name', 'email', 'contact', 'countryCode', 'coursename', 'location'].includes(candidate) &&
+        IMPORT_HEADER_ALIASES[candidate].includes(normalized));
+    if (!field && normalized.includes('course')) field = 'coursename';
+    if (field && input[field] === undefined) input[field] = String(value).trim();
+  }
+  if (!input.name && (firstName || lastName)) input.name = `${firstName} ${lastName}`.trim();
+  if (input.contact) {
+    const phone = splitPhoneNumber(input.contact);
+    input.contact = phone.contact;
+    if (phone.countryCode && !input.countryCode) input.countryCode = phone.countryCode;
+  }
+  return input;
+}
+
+const INGEST_PROVIDERS = {
+  facebook: {
+    authenticate(req) {
+      const signature = req.get('X-Hub-Signature-256') || '';
+      if (!process.env.FACEBOOK_APP_SECRET || !req.rawBody) return false;
+      const expected = 'sha256=' + crypto.createHmac('sha256', process.env.FACEBOOK_APP_SECRET).update(req.rawBody).digest('hex');
+      return secretsMatch(signature, expected);
+    },
+    handshake(req, res) {
+      if (req.query['hub.mode'] === 'subscribe' && secretsMatch(req.query['hub.verify_token'], process.env.FACEBOOK_VERIFY_TOKEN)) {
+        return res.status(200).send(req.query['hub.challenge']);
+      }
+      return res.status(403).json({ message: 'Verification token mismatch.' });
+    },
+    async parse(req) {
+      const body = req.body || {};
+      // Webhook envelope { object: 'page', entry: [{ changes: [{ field: 'leadgen', value }] }] } or a single lead
+      const values = Array.isArray(body.entry)
+        ? body.entry.flatMap(entry => (entry.changes || []).filter(c => c.field === 'leadgen').map(c => c.value || {}))
+        : [body];
+
+      const leads = [];
+      for (const value of values) {
+        let fieldData = value.field_data;
+        if (!fieldData && value.leadgen_id) {
+          if (!process.env.FACEBOOK_PAGE_ACCESS_TOKEN) {
+            throw new Error('FACEBOOK_PAGE_ACCESS_TOKEN is required to fetch lead details by leadgen_id.');
+          }
+          const response = await fetch(
+            `${FACEBOOK_GRAPH_API_URL}/${encodeURIComponent(value.leadgen_id)}?access_token=${encodeURIComponent(process.env.FACEBOOK_PAGE_ACCESS_TOKEN)}`,
+            { signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) }
+          );
+          if (!response.ok) throw new Error(`Graph API responded with HTTP ${response.status} for lead ${value.leadgen_id}`);
+          fieldData = (await response.json()).field_data;
+        }
+        const pairs = (fieldData || []).map(field => ({ key: field.name, value: Array.isArray(field.values) ? field.values[0] : field.values }));
+        leads.push({
+          ...mapProviderFields(pairs),
+          externalId: value.leadgen_id || value.id,
+          sourceForm: value.form_id ? `facebook-form-${value.form_id}` : 'facebook-lead-ads',
+          attribution: {
+            utmSource: 'facebook',
+            utmMedium: 'paid_social',
+            utmCampaign: value.campaign_name || value.campaign_id,
+            utmContent: value.ad_name || value.ad_id,
+            formId: value.form_id
+          }
+        });
+      }
+      return leads;
+    }
+  },
+
+  google: {
+    authenticate(req) {
+      return secretsMatch((req.body || {}).google_key, process.env.GOOGLE_ADS_WEBHOOK_KEY);
+    },
+    async parse(req) {
+      const body = req.body || {};
+      // Google sends column_id (FULL_NAME, EMAIL, PHONE_NUMBER, CITY, ...) and the question text as column_name
+      const pairs = (body.user_column_data || []).map(column => ({
+        key: ({ FULL_NAME: 'name', EMAIL: 'email', PHONE_NUMBER: 'phone', CITY: 'city', FIRST_NAME: 'first_name', LAST_NAME: 'last_name' })[column.column_id] || column.column_name || column.column_id,
+        value: column.string_value
+      }));
+      return [{
+        ...mapProviderFields(pairs),
+        externalId: body.lead_id,
+        isTest: body.is_test === true,
+        sourceForm: body.form_id ? `google-form-${body.form_id}` : 'google-lead-form',
+        attribution: {
+          utmSource: 'google',
+          utmMedium: 'cpc',
+          utmCampaign: body.campaign_id !== undefined ? String(body.campaign_id) : undefined,
+          utmContent: body.creative_id !== undefined ? String(body.creative_id) : undefined,
+          formId: body.form_id !== undefined ? String(body.form_id) : undefined
+        }
+      }];
+    }
+  },
+
+  justdial: {
+    acceptsGet: true,
+    authenticate(req) {
+      return secretsMatch(req.query.token || req.get('X-Ingest-Token'), process.env.JUSTDIAL_TOKEN);
+    },
+    async parse(req) {
+      const payload = { ...req.query, ...(req.body || {}) };
+      const phone = splitPhoneNumber(payload.mobile || payload.phone);
+      return [{
+        name: [payload.prefix, payload.name].filter(Boolean).join(' ').trim(),
+        email: payload.email,
+        contact: phone.contact,
+        countryCode: phone.countryCode,
+        coursename: payload.category,
+        location: payload.city || payload.area,
+        externalId: payload.leadid,
+        sourceForm: payload.leadtype ? `justdial-${payload.leadtype}` : 'justdial',
+        attribution: { utmSource: 'justdial', utmMedium: 'listing' }
+      }];
+    }
+  },
+
+  generic: {
+    authenticate(req) {
+      return secretsMatch(req.get('X-Api-Key'), process.env.INGEST_API_KEY);
+    },
+    async parse(req) {
+      const body = req.body || {};
+      const leads = Array.isArray(body.leads) ? body.leads : [body];
+      // Anything that is not an object is passed through and reported per lead by ingestProviderLeads
+      return leads.map(lead => (isIngestLeadObject(lead) ? { ...lead, sourceForm: lead.sourceForm || lead.form || 'api' } : lead));
+    }
+  }
+};
+
+function isIngestLeadObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+async function ingestProviderLeads(provider, req, res) {
+  const adapter = INGEST_PROVIDERS[provider];
+  if (!adapter.authenticate(req)) {
+    console.warn(`Rejected ${provider} ingestion request: authentication failed`);
+    return res.status(401).json({ message: 'Invalid signature or token.' });
+  }
+
+  const leads = await adapter.parse(req);
+  const results = [];
+  for (const input of leads) {
+    if (!isIngestLeadObject(input)) {
+      results.push({ externalId: null, status: 'validation', message: 'Each lead must be an object.' });
+      continue;
+    }
+    if (input.isTest) {
+      results.push({ externalId: input.externalId, status: 'test', parsed: normalizeIntakeInput(input) });
+      continue;
+    }
+    const result = await intakeLead(input, { source: provider, sourceForm: input.sourceForm });
+    if (result.ok) {
+      await logAction(null, 'ingest_lead', 'User', { userId: result.lead._id, provider, externalId: input.externalId || null });
+      results.push({ externalId: input.externalId, status: 'created', leadId: result.lead._id });
+    } else {
+      results.push({ externalId: input.externalId, status: result.reason, message: result.message, existingLeadId: result.existingLeadId });
+    }
+  }
+
+  // Duplicates are a normal outcome, so providers get 200 unless every lead was invalid
+  const allInvalid = results.length > 0 && results.every(r => r.status === 'validation');
+  res.status(allInvalid ? 422 : 200).json({ provider, received: leads.length, results });
+}
+
+app.get('/api/ingest/:provider', async (req, res) => {
+  const adapter = Object.hasOwn(INGEST_PROVIDERS, req.params.provider) && INGEST_PROVIDERS[req.params.provider];
+  if (!adapter) return res.status(404).json({ message: 'Unknown ingestion provider.' });
+  try {
+    if (adapter.handshake) return adapter.handshake(req, res);
+    if (adapter.acceptsGet) return await ingestProviderLeads(req.params.provider, req, res);
+    res.status(405).json({ message: 'Use POST for this provider.' });
+  } catch (error) {
+    console.error(`Error ingesting ${req.params.provider} lead:`, error);
+    res.status(500).json({ message: 'Error ingesting lead.', error: error.message });
+  }
+});
+
+app.post('/api/ingest/:provider', bodyParser.urlencoded({ extended: false }), async (req, res) => {
+  if (!Object.hasOwn(INGEST_PROVIDERS, req.params.provider)) {
+    return res.status(404).json({ message: 'Unknown ingestion provider.' });
+  }
+  try {
+    await ingestProviderLeads(req.params.provider, req, res);
+  } catch (error) {
+    console.error(`Error ingesting ${req.params.provider} lead:`, error);
+    res.status(500).json({ message: 'Error ingesting lead.', error: error.message });
+  }
+});
+
+// === Lead Pagination ===
+// /api/leads and /api/leads/filter return a plain array unless one of page, limit, cursor or sort
+// is passed, in which case they answer with { data, pagination }. Use page/limit for numbered pages,
+// or cursor (from pagination.nextCursor) to walk large result sets without skipping.
+const LEAD_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'status', 'contactedScore'];
+const LEAD_DATE_SORT_FIELDS = ['createdAt', 'updatedAt'];
+const DEFAULT_LEAD_PAGE_SIZE = 50;
+const MAX_LEAD_PAGE_SIZE = 200;
+
+// Parse paging/sorting query parameters. Returns null for legacy (unpaginated) requests.
+function parseLeadPageParams(query) {
+  const { page, limit, cursor, sort, order } = query;
+  if (page === undefined && limit === undefined && cursor === undefined && sort === undefined) {
+    return null;
+  }
+
+  // sort=-createdAt or sort=createdAt&order=desc
+  let sortField = sort || 'createdAt';
+  let sortOrder = -1;
+  if (sortField.startsWith('-')) {
+    sortField = sortField.slice(1);
+  } else if (sort) {
+    sortOrder = order === 'desc' ? -1 : 1;
+  }
+  if (order === 'asc') sortOrder = 1;
+  if (!LEAD_SORT_FIELDS.includes(sortField)) {
+    return { error: `Sort field must be one of: ${LEAD_SORT_FIELDS.join(', ')}.` };
+  }
+
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LEAD_PAGE_SIZE, 1), MAX_LEAD_PAGE_SIZE);
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+
+  let after = null;
+  if (cursor) {
+    try {
+      after = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!after || !mongoose.Types.ObjectId.isValid(after.id) || after.f !== sortField || after.o !== sortOrder) {
+        throw new Error('cursor does not match the requested sort');
+      }
+    } catch (err) {
+      return { error: 'Invalid cursor.' };
+    }
+  }
+
+  return { sortField, sortOrder, limit: limitNum, page: pageNum, after };
+}
+
+function encodeLeadCursor(lead, sortField, sortOrder) {
+  const value = lead[sortField] === undefined ? null : lead[sortField];
+  return Buffer.from(JSON.stringify({ f: sortField, o: sortOrder, v: value, id: lead._id.toString() })).toString('base64url');
+}
+
+// Condition selecting the documents that come after the cursor position in the given sort.
+// MongoDB sorts null/missing values first ascending and last descending.
+function buildLeadCursorCondition({ sortField, sortOrder, after }) {
+  const cmp = sortOrder === 1 ? '$gt' : '$lt';
+  const value = after.v !== null && LEAD_DATE_SORT_FIELDS.includes(sortField) ? new Date(after.v) : after.v;
+  const id = new mongoose.Types.ObjectId(after.id);
+  const tie = { [sortField]: value, _id: { [cmp]: id } };
+
+  if (value === null) {
+    return sortOrder === 1 ? { $or: [tie, { [sortField]: { $ne: null } }] } : tie;
+  }
+  const conditions = [{ [sortField]: { [cmp]: value } }, tie];
+  if (sortOrder === -1) conditions.push({ [sortField]: null });
+  return { $or: conditions };
+}
+
+// Run a paginated lead query and respond with the { data, pagination } envelope
+async function sendLeadPage(res, filter, params, populateAssignedTo) {
+  const { sortField, sortOrder, limit, page, after } = params;
+  const query = after ? { $and: [filter, buildLeadCursorCondition(params)] } : filter;
+
+  let leadsQuery = User.find(query)
+    .sort({ [sortField]: sortOrder, _id: sortOrder })
+    .limit(limit + 1); // One extra to know whether another page exists
+  if (!after) {
+    leadsQuery = leadsQuery.skip((page - 1) * limit);
+  }
+  if (populateAssignedTo) {
+    leadsQuery = leadsQuery.populate('assignedTo', 'username role color');
+  }
+
+  const [rows, total] = await Promise.all([leadsQuery.lean(), User.countDocuments(filter)]);
+  const hasNextPage = rows.length > limit;
+  const data = hasNextPage ? rows.slice(0, limit) : rows;
+
+  res.status(200).json({
+    data,
+    pagination: {
+      total,
+      limit,
+      page: after ? null : page,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeLeadCursor(data[data.length - 1], sortField, sortOrder) : null,
+      sort: { field: sortField, order: sortOrder === 1 ? 'asc' : 'desc' }
+    }
+  });
+}
+
+// === Fetch Leads Route (Admin Protected) ===
+// Get leads with advanced filtering options and setting-based restrictions
+app.get('/api/leads', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const { populate } = req.query;
+
+    // Get settings that affect lead display
+    const maxLeadsToDisplaySetting = await Settings.findOne({ key: 'maxLeadsToDisplay' }).lean();
+    const maxLeadsToDisplay = maxLeadsToDisplaySetting?.value || 0; // Default to 0 (show all)
+
+    // Apply counselor view restriction if enabled (except for roles allowed to bypass lead restrictions)
+    const filter = await applyCounselorViewRestriction({ archivedAt: null }, req.admin);
+
+    // Paginated request: maxLeadsToDisplay does not apply, pages keep responses small
+    const pageParams = parseLeadPageParams(req.query);
+    if (pageParams) {
+      if (pageParams.error) {
+        return res.status(400).json({ message: pageParams.error });
+      }
+      return await sendLeadPage(res, filter, pageParams, populate === 'assignedTo');
+    }
+
+    // Build the query
+    let query = User.find(filter).sort({ createdAt: -1 });
+
+    // Apply population if requested
+    if (populate === 'assignedTo') {
+      query = query.populate('assignedTo', 'username role color');
+    }
+
+    // Apply lead display limit if set (maxLeadsToDisplay > 0)
+    if (maxLeadsToDisplay > 0) {
+      query = query.limit(maxLeadsToDisplay);
+    }
+
+    // Execute the query
+    const leads = await query.lean();
+
+    // Return the result
+    res.status(200).json(leads);
+  } catch (error) {
+    console.error('Error fetching leads:', error);
+    res.status(500).json({ message: 'Error fetching leads', error: error.message });
+  }
+});
+
+// === Get total lead count ===
+app.get('/api/leads/count', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const count = await User.countDocuments({ archivedAt: null });
+    res.status(200).json({ count });
+  } catch (error) {
+    console.error('Error counting leads:', error);
+    res.status(500).json({ message: 'Error counting leads', error: error.message });
+  }
+});
+
+// === Bulk Lead Operations ===
+// Registered before the /api/leads/:id routes so "bulk-update"/"bulk-delete" are not captured as an :id
+// Bulk update leads
+app.put('/api/leads/bulk-update', authMiddleware, requirePermission('leads', 'update'), async (req, res) => {
+  try {
+    const { leadIds, updateData } = req.body;
+
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+      return res.status(400).json({ message: 'No lead IDs provided.' });
+    }
+
+    if (!updateData || Object.keys(updateData).length === 0) {
+      return res.status(400).json({ message: 'No update data provided.' });
+    }
+
+    // Filter update fields
+    const allowedFields = ['status', 'notes', 'assignedTo', 'contactedScore', 'contactedComment'];
+    const updateFields = {};
+    for (const key of allowedFields) {
+      if (updateData[key] !== undefined) updateFields[key] = updateData[key];
+    }
+
+    // Get original lead data for audit logs
+    const originalLeads = await User.find({ _id: { $in: leadIds } }).lean();
+
+    // Every selected lead must be allowed to move to the new status
+    if (updateFields.status !== undefined) {
+      const pipeline = await getLeadPipeline();
+      const invalidLeads = [];
+      for (const lead of originalLeads) {
+        const transitionError = checkStatusTransition(pipeline, lead.status, updateFields.status);
+        if (transitionError) {
+          invalidLeads.push({ id: lead._id, name: lead.name, status: lead.status, error: transitionError });
+        }
+      }
+      if (invalidLeads.length > 0) {
+        return res.status(400).json({
+          message: `${invalidLeads.length} lead(s) cannot be moved to "${updateFields.status}".`,
+          invalidLeads
+        });
+      }
+    }
+
+    // Extract basic info for audit logs
+    const leadsInfo = originalLeads.map(lead => ({
+      id: lead._id,
+      name: lead.name,
+      email: lead.email,
+      contact: lead.contact
+    }));
+
+    // Update documents
+    const result = await User.updateMany(
+      { _id: { $in: leadIds } },
+      { $set: updateFields }
+    );
+
+    if (updateFields.status !== undefined) {
+      await recordStatusChanges(
+        originalLeads.map(lead => ({ leadId: lead._id, fromStatus: lead.status, toStatus: updateFields.status })),
+        req.admin.id,
+        'bulk_update_leads'
+      );
+    }
+    for (const lead of originalLeads) {
+      await appendNotesAsComment(lead._id, lead.notes, updateFields.notes, req.admin.id);
+      await emitLeadUpdateEvents(lead, { ...lead, ...updateFields });
+    }
+
+    // Enhanced audit logging
+    await logAction(req.admin.id, 'bulk_update_leads', 'User', {
+      count: result.modifiedCount,
+      updateFields,
+      affectedLeads: leadsInfo
+    });
+
+    res.status(200).json({
+      message: `Updated ${result.modifiedCount} leads.`,
+      modifiedCount: result.modifiedCount
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error updating leads.', error: e.message });
+  }
+});
+
+// Bulk delete leads
+app.delete('/api/leads/bulk-delete', authMiddleware, requirePermission('leads', 'delete'), async (req, res) => {
+  try {
+    const { leadIds } = req.body;
+
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+      return res.status(400).json({ message: 'No lead IDs provided.' });
+    }
+
+    // Get lead data before deletion for audit logs
+    const leadsToDelete = await User.find({ _id: { $in: leadIds } }).lean();
+
+    // Extract basic info for audit logs
+    const leadsInfo = leadsToDelete.map(lead => ({
+      id: lead._id,
+      name: lead.name,
+      email: lead.email,
+      contact: lead.contact,
+      status: lead.status
+    }));
+
+    // Delete documents
+    const result = await User.deleteMany({ _id: { $in: leadIds } });
+    await deleteLeadRelatedRecords(leadIds);
+
+    // Enhanced audit logging
+    for (const lead of leadsToDelete) {
+      await emitWebhookEvent('lead.deleted', getLeadWebhookData(lead));
+    }
+    await logAction(req.admin.id, 'bulk_delete_leads', 'User', {
+      count: result.deletedCount,
+      leadIds,
+      deletedLeads: leadsInfo,
+      deletedAt: new Date()
+    });
+
+    res.status(200).json({
+      message: `Deleted ${result.deletedCount} leads.`,
+      deletedCount: result.deletedCount
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error deleting leads.', error: e.message });
+  }
+});
+
+// === Bulk Lead Import (CSV) ===
+const leadImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5 MB
+});
+const MAX_IMPORT_ROWS = 5000;
+const IMPORTABLE_LEAD_FIELDS = ['name', 'email', 'contact', 'countryCode', 'coursename', 'location', 'status', 'notes', 'contactedScore', 'contactedComment'];
+
+// Header aliases used when no explicit mapping is sent (compared lowercase with non-alphanumerics removed)
+const IMPORT_HEADER_ALIASES = {
+  name: ['name', 'fullname', 'studentname', 'leadname'],
+  email: ['email', 'emailaddress', 'emailid', 'mail'],
+  contact: ['contact', 'contactnumber', 'phone', 'phonenumber', 'mobile', 'mobilenumber'],
+  countryCode: ['countrycode', 'isdcode', 'dialcode'],
+  coursename: ['coursename', 'course', 'program', 'programme'],
+  location: ['location', 'city', 'branch'],
+  status: ['status', 'stage'],
+  notes: ['notes', 'note', 'remarks', 'comments'],
+  contactedScore: ['contactedscore', 'score'],
+  contactedComment: ['contactedcomment']
+};
+
+// Map CSV header index -> lead field, from an explicit { "CSV Header": "field" } mapping or the aliases
+function buildImportColumnMap(headers, mapping) {
+  const columnMap = {};
+  headers.forEach((header, index) => {
+    if (mapping) {
+      const field = mapping[header];
+      if (IMPORTABLE_LEAD_FIELDS.includes(field)) columnMap[index] = field;
+      return;
+    }
+    const normalized = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const field = Object.keys(IMPORT_HEADER_ALIASES).find(key => IMPORT_HEADER_ALIASES[key].includes(normalized));
+    if (field) columnMap[index] = field;
+  });
+  return columnMap;
+}
+
+// Validate one mapped row, returning a list of error messages
+function validateImportRow(data, pipeline) {
+  const errors = [];
+  if (!data.name) errors.push('Name is required');
+  if (!data.email) {
+    errors.push('Email is required');
+  } else if (!EMAIL_PATTERN.test(data.email)) {
+    errors.push(`Invalid email "${data.email}"`);
+  }
+  if (!data.contact) {
+    errors.push('Contact number is required');
+  } else if (!/^\d{6,15}$/.test(data.contact.replace(/[\s\-()+]/g, ''))) {
+    errors.push(`Invalid contact number "${data.contact}"`);
+  }
+  if (data.status && !findPipelineStage(pipeline, data.status)) {
+    errors.push(`"${data.status}" is not a stage in the lead pipeline`);
+  }
+  if (data.contactedScore !== undefined) {
+    const score = Number(data.contactedScore);
+    if (!Number.isInteger(score) || score < 1 || score > 10) {
+      errors.push('Contacted score must be a whole number from 1 to 10');
+    } else {
+      data.contactedScore = score;
+    }
+  }
+  return errors;
+}
+
+// Import leads from a CSV file. multipart/form-data fields:
+//   file       - the CSV (first row is the header)
+//   mapping    - optional JSON { "CSV Header": "leadField" }; headers are auto-detected otherwise
+//   dryRun     - "true" to only validate and report per-row results (no assignment is attempted, since
+//                round-robin and least-loaded picks change shared state and depend on earlier rows)
+//   autoAssign - "true" to apply the automatic assignment strategy to imported leads
+app.post('/api/leads/import', authMiddleware, requirePermission('leads', 'create'), (req, res, next) => {
+  leadImportUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: `File upload failed: ${err.message}` });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV file is required (field "file").' });
+    }
+
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+    const autoAssign = req.body.autoAssign === 'true' || req.body.autoAssign === true;
+
+    let mapping = null;
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (err) {
+        return res.status(400).json({ message: 'Column mapping must be valid JSON.' });
+      }
+    }
+
+    let records;
+    try {
+      records = parseCsv(req.file.buffer, { bom: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+    } catch (err) {
+      return res.status(400).json({ message: `Could not parse CSV: ${err.message}` });
+    }
+
+    if (records.length < 2) {
+      return res.status(400).json({ message: 'The CSV file has no data rows.' });
+    }
+    if (records.length - 1 > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `A single import is limited to ${MAX_IMPORT_ROWS} rows.` });
+    }
+
+    const [headers, ...dataRows] = records;
+    const columnMap = buildImportColumnMap(headers, mapping);
+    const mappedFields = Object.values(columnMap);
+    const missingColumns = ['name', 'email', 'contact'].filter(field => !mappedFields.includes(field));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({ message: `No column mapped to: ${missingColumns.join(', ')}.`, headers });
+    }
+
+    const pipeline = await getLeadPipeline();
+    const sla = await getLeadSla();
+
+    // Map and validate every row; row numbers match the spreadsheet (header is row 1)
+    const rows = dataRows.map((values, i) => {
+      const data = {};
+      for (const [index, field] of Object.entries(columnMap)) {
+        const value = values[index];
+        if (value !== undefined && value !== '') data[field] = value;
+      }
+      if (data.email) data.email = data.email.toLowerCase();
+      return { row: i + 2, data, errors: validateImportRow(data, pipeline), duplicate: null };
+    });
+
+    // Duplicates by email or contact, like /api/submit: first against existing leads, then within the file
+    const emails = rows.map(r => r.data.email).filter(Boolean);
+    const contacts = rows.map(r => r.data.contact).filter(Boolean);
+    const existingLeads = await User.find({ $or: [{ email: { $in: emails } }, { contact: { $in: contacts } }] })
+      .select('email contact name')
+      .lean();
+    const existingByEmail = new Map(existingLeads.map(l => [l.email, l]));
+    const existingByContact = new Map(existingLeads.map(l => [l.contact, l]));
+    const seenEmails = new Map();
+    const seenContacts = new Map();
+
+    for (const row of rows) {
+      if (row.errors.length > 0) continue;
+      const { email, contact } = row.data;
+      const existing = existingByEmail.get(email) || existingByContact.get(contact);
+      if (existing) {
+        row.duplicate = { leadId: existing._id, name: existing.name, field: existingByEmail.has(email) ? 'email' : 'contact' };
+      } else if (seenEmails.has(email) || seenContacts.has(contact)) {
+        row.duplicate = { row: seenEmails.get(email) || seenContacts.get(contact), field: seenEmails.has(email) ? 'email' : 'contact' };
+      } else {
+        seenEmails.set(email, row.row);
+        seenContacts.set(contact, row.row);
+      }
+    }
+
+    const validRows = rows.filter(r => r.errors.length === 0 && !r.duplicate);
+    let imported = 0;
+    let autoAssigned = 0;
+
+    for (const row of validRows) {
+      const lead = new User({
+        ...row.data,
+        status: row.data.status || getInitialLeadStage(pipeline),
+        source: 'import',
+        sourceForm: req.file.originalname
+      });
+      applyLeadSla(lead, sla, pipeline);
+      if (dryRun) continue;
+
+      if (autoAssign) {
+        const assignedAdminId = await assignLead(lead);
+        if (assignedAdminId) {
+          lead.assignedTo = assignedAdminId;
+          row.assignedTo = assignedAdminId;
+          autoAssigned++;
+        }
+      }
+
+      try {
+        await lead.save();
+        await appendNotesAsComment(lead._id, '', lead.notes, req.admin.id);
+        await emitWebhookEvent('lead.created', getLeadWebhookData(lead), { leadId: lead._id });
+        row.leadId = lead._id;
+        imported++;
+      } catch (err) {
+        row.errors.push(err.message);
+      }
+    }
+
+    const summary = {
+      fileName: req.file.originalname,
+      totalRows: rows.length,
+      validRows: validRows.length,
+      invalidRows: rows.filter(r => r.errors.length > 0).length,
+      duplicateRows: rows.filter(r => r.duplicate).length,
+      imported,
+      autoAssigned
+    };
+
+    if (!dryRun) {
+      await logAction(req.admin.id, 'import_leads', 'User', summary);
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun
+        ? `Dry run: ${summary.validRows} of ${summary.totalRows} rows can be imported.`
+        : `Imported ${imported} of ${summary.totalRows} rows.`,
+      dryRun,
+      columns: Object.fromEntries(Object.entries(columnMap).map(([index, field]) => [headers[index], field])),
+      ...summary,
+      // Dry runs return every row; real imports only the rows that were skipped
+      rows: dryRun ? rows : rows.filter(r => r.errors.length > 0 || r.duplicate)
+    });
+  } catch (e) {
+    console.error('Error importing leads:', e);
+    res.status(500).json({ message: 'Error importing leads.', error: e.message });
+  }
+});
+
+// === Update Lead Route (Admin Protected) ===
+app.put("/api/leads/:id", authMiddleware, requirePermission('leads', 'update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateFields = {};
+    const allowedFields = ['name','email','contact','countryCode','coursename','location','status','notes','assignedTo','contactedScore','contactedComment'];
+    for (const key of allowedFields) {
+      if (req.body[key] !== undefined) updateFields[key] = req.body[key];
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid lead ID format." });
+    }
+
+    // Store original lead data for audit log
+    const originalLead = await User.findById(id).lean();
+    if (!originalLead) {
+      return res.status(404).json({ message: "Lead not found." });
+    }
+
+    if (updateFields.status !== undefined) {
+      const transitionError = checkStatusTransition(await getLeadPipeline(), originalLead.status, updateFields.status);
+      if (transitionError) {
+        return res.status(400).json({ message: transitionError });
+      }
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(id, updateFields, { new: true, runValidators: true });
+
+    // Prepare detailed metadata for audit log
+    const metadataWithChanges = {
+      userId: id,
+      leadName: originalLead.name,
+      leadEmail: originalLead.email,
+      leadContact: originalLead.contact,
+      updateFields: {},
+    };
+
+    // Track specific changes for each field
+    for (const key of Object.keys(updateFields)) {
+      metadataWithChanges.updateFields[key] = {
+        from: originalLead[key],
+        to: updateFields[key]
+      };
+    }
+
+    await recordStatusChanges([{ leadId: id, fromStatus: originalLead.status, toStatus: updateFields.status }], req.admin.id, 'update_lead');
+    await appendNotesAsComment(id, originalLead.notes, updateFields.notes, req.admin.id);
+    await logAction(req.admin.id, 'update_lead', 'User', metadataWithChanges);
+    await emitLeadUpdateEvents(originalLead, updatedUser);
+
+    res.status(200).json({ message: "Lead updated successfully.", lead: updatedUser });
+  } catch (error) {
+    console.error(`Error updating lead with ID (${req.params.id}):`, error);
+    res.status(500).json({ message: "Internal Server Error occurred while updating.", error: error.message });
+  }
+});
+
+// === Update Lead Route (PATCH version) (Admin Protected) ===
+app.patch("/api/leads/:id", authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateFields = {};
+
+    // Define allowed fields based on role permissions
+    let allowedFields = ['contactedScore', 'contactedComment', 'status']; // Base fields anyone who can read leads may update
+
+    // Expand allowed fields for roles with lead update permission
+    if (await hasPermission(req.admin.role, 'leads', 'update')) {
+      allowedFields = [...allowedFields, 'name', 'email', 'contact', 'countryCode', 'coursename', 'location', 'notes', 'assignedTo'];
+    }
+
+    for (const key of allowedFields) {
+      if (req.body[key] !== undefined) updateFields[key] = req.body[key];
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid lead ID format." });
+    }
+
+    // Store original lead data for audit log
+    const originalLead = await User.findById(id).populate('assignedTo', 'username role').lean();
+    if (!originalLead) {
+      return res.status(404).json({ message: "Lead not found." });
+    }
+
+    // If editing is restricted to assigned users, check the current user is the assignee
+    if (!(await canEditLead(req.admin, originalLead))) {
+      return res.status(403).json({ message: LEAD_EDIT_RESTRICTED_MESSAGE, restricted: true });
+    }
+
+    if (updateFields.status !== undefined) {
+      const transitionError = checkStatusTransition(await getLeadPipeline(), originalLead.status, updateFields.status);
+      if (transitionError) {
+        return res.status(400).json({ message: transitionError });
+      }
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(id, updateFields, { new: true, runValidators: true });
+
+    // Prepare detailed metadata for audit log
+    const metadataWithChanges = {
+      userId: id,
+      leadName: originalLead.name,
+      leadEmail: originalLead.email,
+      leadContact: originalLead.contact,
+      updateFields: {},
+    };
+
+    // Track specific changes for each field
+    for (const key of Object.keys(updateFields)) {
+      metadataWithChanges.updateFields[key] = {
+        from: originalLead[key],
+        to: updateFields[key]
+      };
+    }
+
+    await recordStatusChanges([{ leadId: id, fromStatus: originalLead.status, toStatus: updateFields.status }], req.admin.id, 'update_lead');
+    await appendNotesAsComment(id, originalLead.notes, updateFields.notes, req.admin.id);
+    await logAction(req.admin.id, 'update_lead', 'User', metadataWithChanges);
+    await emitLeadUpdateEvents(originalLead, updatedUser);
+    res.status(200).json({ message: "Lead updated successfully.", lead: updatedUser });
+  } catch (error) {
+    console.error(`Error updating lead with ID (${req.params.id}):`, error);
+    res.status(500).json({ message: "Failed to update lead", error: error.message });
+  }
+});
+
+// === Delete Lead Route (Admin Protected) ===
+app.delete("/api/leads/:id", authMiddleware, requirePermission('leads', 'delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid lead ID format." });
+    }
+
+    // Get lead data before deletion for audit log
+    const leadToDelete = await User.findById(id).lean();
+    if (!leadToDelete) {
+      return res.status(404).json({ message: "Lead not found." });
+    }
+
+    await User.findByIdAndDelete(id);
+    await deleteLeadRelatedRecords([id]);
+
+    await emitWebhookEvent('lead.deleted', getLeadWebhookData(leadToDelete));
+    // Include detailed information in audit log
+    await logAction(req.admin.id, 'delete_lead', 'User', {
+      leadId: id,
+      userId: id,
+      leadName: leadToDelete.name,
+      leadEmail: leadToDelete.email,
+      leadContact: leadToDelete.contact,
+      leadStatus: leadToDelete.status,
+      deletedAt: new Date()
+    });
+
+    console.log("Lead deleted successfully:", id);
+    res.status(200).json({ message: "Lead deleted successfully." });
+  } catch (error) {
+    console.error(`Error deleting lead with ID (${req.params.id}):`, error);
+    res.status(500).json({ message: "Internal Server Error occurred while deleting.", error: error.message });
+  }
+});
+
+// === Lead Status History ===
+// Timeline of status changes plus the time the lead spent in each stage
+app.get('/api/leads/:id/status-history', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid lead ID format." });
+    }
+
+    // Leads hidden by restrictCounselorView are reported as not found, as in the task list
+    const lead = await User.findOne(await applyCounselorViewRestriction({ _id: id }, req.admin))
+      .select('name status createdAt')
+      .lean();
+    if (!lead) {
+      return res.status(404).json({ message: "Lead not found." });
+    }
+
+    const history = await LeadStatusHistory.find({ leadId: id })
+      .sort({ changedAt: 1 })
+      .populate('changedBy', 'username role color')
+      .lean();
+
+    const periods = buildStagePeriods(lead, history);
+
+    // Total time per stage; a lead may pass through the same stage more than once
+    const durationsByStage = {};
+    for (const period of periods) {
+      const entry = durationsByStage[period.status] || { status: period.status, visits: 0, totalMs: 0, current: false };
+      entry.visits += 1;
+      entry.totalMs += period.durationMs;
+      entry.current = entry.current || period.leftAt === null;
+      durationsByStage[period.status] = entry;
+    }
+
+    res.status(200).json({
+      leadId: lead._id,
+      name: lead.name,
+      currentStatus: lead.status,
+      createdAt: lead.createdAt,
+      timeline: history,
+      periods: periods.map(p => ({ ...p, durationHours: msToHours(p.durationMs) })),
+      stageDurations: Object.values(durationsByStage).map(d => ({ ...d, totalHours: msToHours(d.totalMs) }))
+    });
+  } catch (e) {
+    console.error(`Error fetching status history for lead (${req.params.id}):`, e);
+    res.status(500).json({ message: 'Error fetching status history.', error: e.message });
+  }
+});
+
+// === Lead Comments ===
+
+// Load a lead for a comment route, answering 400/404 itself when it can't be used.
+// Leads hidden by restrictCounselorView are reported as not found.
+async function findLeadForComments(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid lead ID format." });
+    return null;
+  }
+  const lead = await User.findOne(await applyCounselorViewRestriction({ _id: id }, req.admin))
+    .select('name assignedTo')
+    .lean();
+  if (!lead) {
+    res.status(404).json({ message: "Lead not found." });
+    return null;
+  }
+  return lead;
+}
+
+async function findActiveComment(leadId, commentId) {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) return null;
+  return LeadComment.findOne({ _id: commentId, leadId, deletedAt: null });
+}
+
+// List comments (pinned first, then oldest to newest)
+app.get('/api/leads/:id/comments', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const lead = await findLeadForComments(req, res);
+    if (!lead) return;
+
+    const comments = await LeadComment.find({ leadId: lead._id, deletedAt: null })
+      .sort({ pinned: -1, createdAt: 1 })
+      .populate('author', 'username role color')
+      .populate('editHistory.editedBy', 'username')
+      .lean();
+    res.status(200).json(comments);
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching comments.', error: e.message });
+  }
+});
+
+// Add a comment
+app.post('/api/leads/:id/comments', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const lead = await findLeadForComments(req, res);
+    if (!lead) return;
+    if (!(await canEditLead(req.admin, lead))) {
+      return res.status(403).json({ message: LEAD_EDIT_RESTRICTED_MESSAGE, restricted: true });
+    }
+
+    const { body, pinned } = req.body;
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ message: "Comment text is required." });
+    }
+
+    const comment = await LeadComment.create({
+      leadId: lead._id,
+      author: req.admin.id,
+      body,
+      pinned: pinned === true
+    });
+
+    await recordFirstResponse([lead._id], req.admin.id);
+    await logAction(req.admin.id, 'add_comment', 'User', { userId: lead._id, commentId: comment._id });
+    res.status(201).json({ message: "Comment added.", comment });
+  } catch (e) {
+    res.status(500).json({ message: 'Error adding comment.', error: e.message });
+  }
+});
+
+// Edit a comment (author only); the previous text is kept in editHistory
+app.put('/api/leads/:id/comments/:commentId', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const lead = await findLeadForComments(req, res);
+    if (!lead) return;
+    if (!(await canEditLead(req.admin, lead))) {
+      return res.status(403).json({ message: LEAD_EDIT_RESTRICTED_MESSAGE, restricted: true });
+    }
+
+    const comment = await findActiveComment(lead._id, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found." });
+    }
+    if (!comment.author || comment.author.toString() !== req.admin.id.toString()) {
+      return res.status(403).json({ message: "You can only edit your own comments." });
+    }
+
+    const { body } = req.body;
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ message: "Comment text is required." });
+    }
+
+    comment.editHistory.push({ body: comment.body, editedAt: new Date(), editedBy: req.admin.id });
+    comment.body = body;
+    comment.updatedAt = new Date();
+    await comment.save();
+
+    await logAction(req.admin.id, 'edit_comment', 'User', { userId: lead._id, commentId: comment._id });
+    res.status(200).json({ message: "Comment updated.", comment });
+  } catch (e) {
+    res.status(500).json({ message: 'Error updating comment.', error: e.message });
+  }
+});
+
+// Pin or unpin a comment
+app.patch('/api/leads/:id/comments/:commentId/pin', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const lead = await findLeadForComments(req, res);
+    if (!lead) return;
+    if (!(await canEditLead(req.admin, lead))) {
+      return res.status(403).json({ message: LEAD_EDIT_RESTRICTED_MESSAGE, restricted: true });
+    }
+
+    const { pinned } = req.body;
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json({ message: '"pinned" must be a boolean.' });
+    }
+
+    const comment = await findActiveComment(lead._id, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found." });
+    }
+
+    comment.pinned = pinned;
+    comment.updatedAt = new Date();
+    await comment.save();
+
+    await logAction(req.admin.id, pinned ? 'pin_comment' : 'unpin_comment', 'User', { userId: lead._id, commentId: comment._id });
+    res.status(200).json({ message: pinned ? "Comment pinned." : "Comment unpinned.", comment });
+  } catch (e) {
+    res.status(500).json({ message: 'Error pinning comment.', error: e.message });
+  }
+});
+
+// Delete a comment (author, or roles allowed to delete leads); the record is kept but hidden
+app.delete('/api/leads/:id/comments/:commentId', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const lead = await findLeadForComments(req, res);
+    if (!lead) return;
+    if (!(await canEditLead(req.admin, lead))) {
+      return res.status(403).json({ message: LEAD_EDIT_RESTRICTED_MESSAGE, restricted: true });
+    }
+
+    const comment = await findActiveComment(lead._id, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found." });
+    }
+    const isAuthor = comment.author && comment.author.toString() === req.admin.id.toString();
+    if (!isAuthor && !(await hasPermission(req.admin.role, 'leads', 'delete'))) {
+      return res.status(403).json({ message: "You can only delete your own comments." });
+    }
+
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.admin.id;
+    await comment.save();
+
+    await logAction(req.admin.id, 'delete_comment', 'User', { userId: lead._id, commentId: comment._id, body: comment.body });
+    res.status(200).json({ message: "Comment deleted." });
+  } catch (e) {
+    res.status(500).json({ message: 'Error deleting comment.', error: e.message });
+  }
+});
+
+// === Lead Follow-up Tasks ===
+
+// Tasks can be changed by their assignee, or by anyone allowed to update leads
+async function canManageTask(admin, task) {
+  if (task.assignedTo && task.assignedTo.toString() === admin.id.toString()) return true;
+  return hasPermission(admin.role, 'leads', 'update');
+}
+
+// Create a task on a lead (defaults to the lead's assignee, then the current admin)
+app.post('/api/leads/:id/tasks', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, title, description, dueAt, assignedTo } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid lead ID format." });
+    }
+    if (!title || !dueAt || isNaN(new Date(dueAt).getTime())) {
+      return res.status(400).json({ message: "Title and a valid due time are required." });
+    }
+
+    const lead = await User.findById(id).select('name assignedTo').lean();
+    if (!lead) {
+      return res.status(404).json({ message: "Lead not found." });
+    }
+    if (!(await canEditLead(req.admin, lead))) {
+      return res.status(403).json({ message: LEAD_EDIT_RESTRICTED_MESSAGE, restricted: true });
+    }
+
+    if (assignedTo && !mongoose.Types.ObjectId.isValid(assignedTo)) {
+      return res.status(400).json({ message: "Invalid assignee ID format." });
+    }
+    const assigneeId = assignedTo || lead.assignedTo || req.admin.id;
+    const assignee = await Admin.findOne({ _id: assigneeId, active: true }).select('_id').lean();
+    if (!assignee) {
+      return res.status(400).json({ message: "Assignee not found or inactive." });
+    }
+
+    const task = await Task.create({
+      leadId: id,
+      assignedTo: assignee._id,
+      type,
+      title,
+      description,
+      dueAt: new Date(dueAt),
+      createdBy: req.admin.id
+    });
+
+    await logAction(req.admin.id, 'create_task', 'User', { userId: id, taskId: task._id, type: task.type, title, dueAt: task.dueAt, assignedTo: assignee._id });
+    res.status(201).json({ message: "Task created.", task });
+  } catch (e) {
+    if (e.name === 'ValidationError') {
+      return res.status(400).json({ message: e.message });
+    }
+    console.error(`Error creating task for lead (${req.params.id}):`, e);
+    res.status(500).json({ message: 'Error creating task.', error: e.message });
+  }
+});
+
+// List a lead's tasks
+app.get('/api/leads/:id/tasks', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid lead ID format." });
+    }
+    // Same visibility as the lead lists: with restrictCounselorView on, only the caller's own leads
+    const visible = await User.exists(await applyCounselorViewRestriction({ _id: id }, req.admin));
+    if (!visible) {
+      return res.status(404).json({ message: "Lead not found." });
+    }
+    const tasks = await Task.find({ leadId: id })
+      .sort({ completed: 1, dueAt: 1 })
+      .populate('assignedTo', 'username role color')
+      .populate('completedBy', 'username')
+      .lean();
+    res.status(200).json(tasks);
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching tasks.', error: e.message });
+  }
+});
+
+// Current admin's open tasks: scope=today (due today, incl. overdue), overdue, upcoming or all
+app.get('/api/tasks/my', authMiddleware, async (req, res) => {
+  try {
+    const { scope = 'today' } = req.query;
+    const now = new Date();
+    const endOfToday = new Date(now);
+    endOfToday.setHours(23, 59, 59, 999);
+
+    const filter = { assignedTo: req.admin.id, completed: false };
+    if (scope === 'today') {
+      filter.dueAt = { $lte: endOfToday };
+    } else if (scope === 'overdue') {
+      filter.dueAt = { $lt: now };
+    } else if (scope === 'upcoming') {
+      filter.dueAt = { $gt: endOfToday };
+    } else if (scope !== 'all') {
+      return res.status(400).json({ message: 'Scope must be one of: today, overdue, upcoming, all.' });
+    }
+
+    const tasks = await Task.find(filter)
+      .sort({ dueAt: 1 })
+      .populate('leadId', 'name email contact countryCode coursename status')
+      .lean();
+
+    res.status(200).json({
+      tasks,
+      overdueCount: tasks.filter(task => task.dueAt < now).length
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching tasks.', error: e.message });
+  }
+});
+
+// Update a task (reschedule, reassign, edit or complete/reopen)
+app.patch('/api/tasks/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid task ID format." });
+    }
+    const task = await Task.findById(id);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found." });
+    }
+    if (!(await canManageTask(req.admin, task))) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    const { type, title, description, dueAt, assignedTo, completed } = req.body;
+    const changes = {};
+
+    if (type !== undefined) task.type = changes.type = type;
+    if (title !== undefined) task.title = changes.title = title;
+    if (description !== undefined) task.description = changes.description = description;
+    if (dueAt !== undefined) {
+      if (isNaN(new Date(dueAt).getTime())) {
+        return res.status(400).json({ message: "Invalid due time." });
+      }
+      task.dueAt = changes.dueAt = new Date(dueAt);
+      // Rescheduled tasks get a fresh reminder
+      task.overdue = task.dueAt <= new Date();
+      task.overdueNotifiedAt = null;
+    }
+    if (assignedTo !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+        return res.status(400).json({ message: "Invalid assignee ID format." });
+      }
+      const assignee = await Admin.findOne({ _id: assignedTo, active: true }).select('_id').lean();
+      if (!assignee) {
+        return res.status(400).json({ message: "Assignee not found or inactive." });
       }
+      task.assignedTo = changes.assignedTo = assignee._id;
+    }
+    if (typeof completed === 'boolean' && completed !== task.completed) {
+      task.completed = changes.completed = completed;
+      task.completedAt = completed ? new Date() : undefined;
+      task.completedBy = completed ? req.admin.id : undefined;
     }
 
-    const updatedUser = await User.findByIdAndUpdate(id, updateFields, { new: true, runValidators: true });
+    await task.save();
+    await logAction(req.admin.id, task.completed && changes.completed ? 'complete_task' : 'update_task', 'User', { userId: task.leadId, taskId: task._id, changes });
+    res.status(200).json({ message: "Task updated.", task });
+  } catch (e) {
+    if (e.name === 'ValidationError') {
+      return res.status(400).json({ message: e.message });
+    }
+    console.error(`Error updating task (${req.params.id}):`, e);
+    res.status(500).json({ message: 'Error updating task.', error: e.message });
+  }
+});
 
-    // Prepare detailed metadata for audit log
-    const metadataWithChanges = {
-      userId: id,
-      leadName: originalLead.name,
-      leadEmail: originalLead.email,
-      leadContact: originalLead.contact,
-      updateFields: {},
+// Delete a task
+app.delete('/api/tasks/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid task ID format." });
+    }
+    const task = await Task.findById(id);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found." });
+    }
+    if (!(await canManageTask(req.admin, task))) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    await task.deleteOne();
+    await logAction(req.admin.id, 'delete_task', 'User', { userId: task.leadId, taskId: task._id, title: task.title });
+    res.status(200).json({ message: "Task deleted." });
+  } catch (e) {
+    res.status(500).json({ message: 'Error deleting task.', error: e.message });
+  }
+});
+
+// === Lead Filters ===
+// Build a User query from the /api/leads/filter parameters (shared with the export endpoint)
+function buildLeadFilter(query) {
+  const { status, assignedTo, startDate, endDate, coursename, location, search } = query;
+
+  // Build filter (archived leads are never listed)
+  const filter = { archivedAt: null };
+
+  // Source and attribution filters: exact match, except referrer/landingPage which match substrings
+  for (const field of ['source', 'sourceForm']) {
+    if (query[field]) filter[field] = query[field];
+  }
+  for (const field of ['utmSource', 'utmMedium', 'utmCampaign', 'utmTerm', 'utmContent', 'formId']) {
+    if (query[field]) filter[`attribution.${field}`] = query[field];
+  }
+  for (const field of ['referrer', 'landingPage']) {
+    if (query[field]) {
+      const escaped = String(query[field]).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter[`attribution.${field}`] = { $regex: escaped, $options: 'i' };
+    }
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  if (query.tag) {
+    filter.tags = query.tag;
+  }
+
+  if (assignedTo) {
+    if (assignedTo === 'unassigned') {
+      filter.assignedTo = null;
+    } else if (assignedTo === 'assigned') {
+      filter.assignedTo = { $ne: null };
+    } else {
+      filter.assignedTo = assignedTo;
+    }
+  }
+
+  if (startDate && endDate) {
+    filter.createdAt = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
     };
+  } else if (startDate) {
+    filter.createdAt = { $gte: new Date(startDate) };
+  } else if (endDate) {
+    filter.createdAt = { $lte: new Date(endDate) };
+  }
 
-    // Track specific changes for each field
-    for (const key of Object.keys(updateFields)) {
-      metadataWithChanges.updateFields[key] = {
-        from: originalLead[key],
-        to: updateFields[key]
-      };
+  if (coursename) {
+    filter.coursename = coursename;
+  }
+
+  // Handle location filtering - accept multiple location parameters for OR filtering
+  if (location) {
+    // If we receive a single location
+    if (typeof location === 'string') {
+      filter.location = { $regex: new RegExp(location, 'i') };
+    }
+    // If we receive multiple locations, use $or to match any of them
+    else if (Array.isArray(location)) {
+      filter.$or = filter.$or || [];
+      filter.$or.push(...location.map(loc => ({
+        location: { $regex: new RegExp(loc, 'i') }
+      })));
+    }
+  }
+
+  if (search) {
+    // If we already have $or from locations, we need to merge with search conditions
+    const searchConditions = [
+      { name: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { contact: { $regex: search, $options: 'i' } }
+    ];
+
+    if (filter.$or) {
+      // Combined location and search filtering using $and
+      filter.$and = [
+        { $or: filter.$or },
+        { $or: searchConditions }
+      ];
+      // Remove the original $or
+      delete filter.$or;
+    } else {
+      filter.$or = searchConditions;
+    }
+  }
+  return filter;
+}
+
+// Limit a lead query to the admin's own leads when restrictCounselorView is on
+async function applyCounselorViewRestriction(filter, admin) {
+  const restrictCounselorViewSetting = await Settings.findOne({ key: 'restrictCounselorView' }).lean();
+  if (restrictCounselorViewSetting?.value && !(await roleBypassesLeadRestrictions(admin.role))) {
+    filter.assignedTo = admin.id;
+  }
+  return filter;
+}
+
+app.get('/api/leads/filter', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const filter = await applyCounselorViewRestriction(buildLeadFilter(req.query), req.admin);
+
+    const pageParams = parseLeadPageParams(req.query);
+    if (pageParams) {
+      if (pageParams.error) {
+        return res.status(400).json({ message: pageParams.error });
+      }
+      return await sendLeadPage(res, filter, pageParams, true);
+    }
+
+    // Get filtered leads
+    const leads = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('assignedTo', 'username role color')
+      .lean();
+
+    res.status(200).json(leads);
+  } catch (e) {
+    res.status(500).json({ message: 'Error filtering leads.', error: e.message });
+  }
+});
+
+// === Lead Export (CSV / XLSX) ===
+// Columns that can be exported, in default order, with their header labels
+const LEAD_EXPORT_COLUMNS = {
+  name: 'Name',
+  email: 'Email',
+  countryCode: 'Country Code',
+  contact: 'Contact',
+  coursename: 'Course',
+  location: 'Location',
+  status: 'Status',
+  contactedScore: 'Contacted Score',
+  contactedComment: 'Contacted Comment',
+  notes: 'Notes',
+  assignedTo: 'Assigned To',
+  createdAt: 'Created At',
+  updatedAt: 'Updated At'
+};
+
+// Quote CSV values when needed and neutralise spreadsheet formulas (CSV injection)
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Resolves true once the response can take more data, or false if the client disconnected first
+function waitForDrain(res) {
+  if (res.destroyed) return Promise.resolve(false);
+  return new Promise(resolve => {
+    const finish = (drained) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => finish(true);
+    const onClose = () => finish(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+}
+
+// Stream leads matching the /api/leads/filter parameters as CSV or XLSX.
+// Extra query parameters: format=csv|xlsx (default csv), columns=comma separated keys of LEAD_EXPORT_COLUMNS
+app.get('/api/leads/export', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be "csv" or "xlsx".' });
+    }
+
+    const columns = req.query.columns
+      ? String(req.query.columns).split(',').map(c => c.trim()).filter(Boolean)
+      : Object.keys(LEAD_EXPORT_COLUMNS);
+    const unknownColumns = columns.filter(c => !LEAD_EXPORT_COLUMNS[c]);
+    if (unknownColumns.length > 0 || columns.length === 0) {
+      return res.status(400).json({
+        message: `Unknown export columns: ${unknownColumns.join(', ') || '(none selected)'}`,
+        availableColumns: Object.keys(LEAD_EXPORT_COLUMNS)
+      });
+    }
+
+    const filter = await applyCounselorViewRestriction(buildLeadFilter(req.query), req.admin);
+
+    // Resolve assignedTo to usernames from one lookup instead of populating every row
+    const admins = columns.includes('assignedTo') ? await Admin.find().select('username').lean() : [];
+    const usernameById = new Map(admins.map(a => [a._id.toString(), a.username]));
+
+    const rowValues = (lead) => columns.map(column => {
+      if (column === 'assignedTo') {
+        return lead.assignedTo ? (usernameById.get(lead.assignedTo.toString()) || lead.assignedTo.toString()) : '';
+      }
+      return lead[column];
+    });
+
+    const cursor = User.find(filter).sort({ createdAt: -1 }).select(columns.join(' ')).lean().cursor();
+    const fileName = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+    let rowCount = 0;
+    let aborted = false; // Client went away mid-download
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    try {
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        // BOM so Excel opens the UTF-8 file correctly
+        res.write('\uFEFF' + columns.map(c => toCsvValue(LEAD_EXPORT_COLUMNS[c])).join(',') + '\r\n');
+        for await (const lead of cursor) {
+          if (!res.write(rowValues(lead).map(toCsvValue).join(',') + '\r\n') && !(await waitForDrain(res))) {
+            aborted = true;
+            break;
+          }
+          rowCount++;
+        }
+        if (!aborted) res.end();
+      } else {
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const worksheet = workbook.addWorksheet('Leads');
+        worksheet.columns = columns.map(c => ({
+          header: LEAD_EXPORT_COLUMNS[c],
+          key: c,
+          width: ['createdAt', 'updatedAt'].includes(c) ? 22 : 20
+        }));
+        for await (const lead of cursor) {
+          // The workbook writer ignores backpressure, so wait for the socket here
+          if (res.destroyed || (res.writableNeedDrain && !(await waitForDrain(res)))) {
+            aborted = true;
+            break;
+          }
+          worksheet.addRow(rowValues(lead)).commit();
+          rowCount++;
+        }
+        if (!aborted) {
+          worksheet.commit();
+          await workbook.commit();
+        }
+      }
+    } catch (streamError) {
+      // Headers are already sent, so the client can only see a truncated download
+      console.error('Error while streaming lead export:', streamError);
+      res.destroy(streamError);
+      return;
+    } finally {
+      // Breaking out of for-await closes the cursor too; this covers errors thrown before iteration
+      await cursor.close().catch(() => {});
+    }
+
+    const { format: _format, columns: _columns, ...filterParams } = req.query;
+    await logAction(req.admin.id, 'export_leads', 'User', {
+      format,
+      columns,
+      filter: filterParams,
+      rowCount,
+      ...(aborted ? { aborted: true } : {})
+    });
+  } catch (e) {
+    console.error('Error exporting leads:', e);
+    if (res.headersSent) {
+      res.destroy(e);
+    } else {
+      res.status(500).json({ message: 'Error exporting leads.', error: e.message });
+    }
+  }
+});
+
+// === Duplicate Detection & Merge ===
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Digits only, keeping the last 10 so "+91 98765 43210", "098765-43210" and "9876543210" match
+const normalizePhone = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+// Lowercase letters only, word order ignored, so "Sharma Rahul" matches "rahul  sharma."
+const normalizeName = (name) => (name || '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+const DUPLICATE_SCAN_MAX_LEADS = 20000;
+
+// Find clusters of leads sharing a normalized email, phone or name. A name alone is too common to be
+// evidence, so name matches only link leads that also share a course or a location.
+// Query: criteria=email,phone,name (default all), limit (max clusters, default 100),
+// scanLimit (most recent leads examined, default and max DUPLICATE_SCAN_MAX_LEADS)
+app.get('/api/leads/duplicates', authMiddleware, requirePermission('leads', 'read'), async (req, res) => {
+  try {
+    const criteria = (req.query.criteria || 'email,phone,name').split(',').map(c => c.trim());
+    const unknownCriteria = criteria.filter(c => !['email', 'phone', 'name'].includes(c));
+    if (unknownCriteria.length > 0) {
+      return res.status(400).json({ message: `Unknown criteria: ${unknownCriteria.join(', ')}. Use email, phone and/or name.` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const scanLimit = Math.min(parseInt(req.query.scanLimit, 10) || DUPLICATE_SCAN_MAX_LEADS, DUPLICATE_SCAN_MAX_LEADS);
+
+    const filter = await applyCounselorViewRestriction({ archivedAt: null }, req.admin);
+    const leads = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(scanLimit)
+      .select('name email contact countryCode coursename location status assignedTo createdAt')
+      .populate('assignedTo', 'username color')
+      .lean();
+
+    // Union-find over lead indexes, linking leads that share any selected key
+    const parent = leads.map((_, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]]; // Path halving keeps the trees shallow
+        i = parent[i];
+      }
+      return i;
+    };
+    const reasonsByRoot = new Map();
+    // Each function returns the keys a lead is matched on for that criterion
+    const keyFns = {
+      email: lead => [normalizeEmail(lead.email)],
+      phone: lead => {
+        const phone = normalizePhone(lead.contact);
+        return phone.length >= 6 ? [phone] : [];
+      },
+      name: lead => {
+        const name = normalizeName(lead.name);
+        if (!name) return [];
+        const course = (lead.coursename || '').trim().toLowerCase();
+        const location = (lead.location || '').trim().toLowerCase();
+        return [course && `${name}|course:${course}`, location && `${name}|location:${location}`];
+      }
+    };
+
+    const links = [];
+    for (const criterion of criteria) {
+      const firstIndexByKey = new Map();
+      leads.forEach((lead, i) => {
+        for (const key of keyFns[criterion](lead)) {
+          if (!key) continue;
+          if (firstIndexByKey.has(key)) {
+            links.push([firstIndexByKey.get(key), i, criterion]);
+          } else {
+            firstIndexByKey.set(key, i);
+          }
+        }
+      });
+    }
+    for (const [a, b] of links) {
+      parent[find(a)] = find(b);
+    }
+    for (const [a, , criterion] of links) {
+      const root = find(a);
+      if (!reasonsByRoot.has(root)) reasonsByRoot.set(root, new Set());
+      reasonsByRoot.get(root).add(criterion);
+    }
+
+    const membersByRoot = new Map();
+    leads.forEach((lead, i) => {
+      const root = find(i);
+      if (!reasonsByRoot.has(root)) return;
+      if (!membersByRoot.has(root)) membersByRoot.set(root, []);
+      membersByRoot.get(root).push(lead);
+    });
+
+    const clusters = [...membersByRoot.entries()]
+      .map(([root, members]) => ({
+        size: members.length,
+        reasons: [...reasonsByRoot.get(root)],
+        // Oldest first: usually the best candidate to keep
+        leads: members.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      }))
+      .sort((a, b) => b.size - a.size);
+
+    res.status(200).json({
+      scannedLeads: leads.length,
+      truncated: leads.length === scanLimit, // Older leads were not examined
+      totalClusters: clusters.length,
+      totalDuplicateLeads: clusters.reduce((sum, c) => sum + c.size - 1, 0),
+      clusters: clusters.slice(0, limit)
+    });
+  } catch (e) {
+    console.error('Error finding duplicate leads:', e);
+    res.status(500).json({ message: 'Error finding duplicate leads.', error: e.message });
+  }
+});
+
+// Merge duplicates into a surviving lead. Body: { primaryId, duplicateIds: [], mode: 'archive' | 'delete' }
+// Empty fields on the primary are filled from the duplicates; comments and tasks move to the primary;
+// duplicates are archived (hidden, pointing at the primary) or deleted. Status history stays with the
+// lead it was recorded on, since each lead's history is one from/to chain (see buildStagePeriods).
+const MERGE_FILLABLE_FIELDS = ['countryCode', 'coursename', 'location', 'contactedScore', 'contactedComment', 'assignedTo'];
+
+app.post('/api/leads/merge', authMiddleware, requirePermission('leads', 'update'), requirePermission('leads', 'delete'), async (req, res) => {
+  try {
+    const { primaryId, duplicateIds, mode = 'archive' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(primaryId)) {
+      return res.status(400).json({ message: 'A valid primaryId is required.' });
+    }
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0 || !duplicateIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'duplicateIds must be a non-empty array of lead IDs.' });
+    }
+    if (duplicateIds.includes(primaryId)) {
+      return res.status(400).json({ message: 'The primary lead cannot also be a duplicate.' });
+    }
+    if (!['archive', 'delete'].includes(mode)) {
+      return res.status(400).json({ message: 'Mode must be "archive" or "delete".' });
+    }
+
+    // Every lead involved must be visible to the caller and editable by them
+    const primary = await User.findOne(await applyCounselorViewRestriction({ _id: primaryId, archivedAt: null }, req.admin));
+    if (!primary) {
+      return res.status(404).json({ message: 'Primary lead not found.' });
+    }
+    const duplicates = await User.find(await applyCounselorViewRestriction({ _id: { $in: duplicateIds }, archivedAt: null }, req.admin))
+      .sort({ createdAt: 1 })
+      .lean();
+    if (duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({ message: 'One or more duplicate leads were not found or are already archived.' });
+    }
+    for (const lead of [primary, ...duplicates]) {
+      if (!(await canEditLead(req.admin, lead))) {
+        return res.status(403).json({ message: LEAD_EDIT_RESTRICTED_MESSAGE, restricted: true });
+      }
+    }
+
+    // Fill gaps on the primary from the duplicates (oldest first)
+    const filledFields = {};
+    for (const field of MERGE_FILLABLE_FIELDS) {
+      const current = primary[field];
+      if (current !== undefined && current !== null && current !== '' && current !== 'N/A') continue;
+      const donor = duplicates.find(d => d[field] !== undefined && d[field] !== null && d[field] !== '' && d[field] !== 'N/A');
+      if (donor) {
+        primary[field] = donor[field];
+        filledFields[field] = { value: donor[field], from: donor._id };
+      }
+    }
+
+    // Keep a visible trace of what was merged, including contact details that differed
+    const mergedSummary = duplicates.map(d =>
+      `${d.name} <${d.email}> ${d.countryCode ? `${d.countryCode} ` : ''}${d.contact} (status: ${d.status}, created ${new Date(d.createdAt).toLocaleDateString()})`
+    );
+
+    // All writes commit together, so a failure cannot leave records moved while the duplicates stay active
+    await runInTransaction(async (session) => {
+      await primary.save({ session });
+
+      // Move per-lead records over to the surviving lead
+      await LeadComment.updateMany({ leadId: { $in: duplicateIds } }, { $set: { leadId: primary._id } }, { session });
+      await Task.updateMany({ leadId: { $in: duplicateIds } }, { $set: { leadId: primary._id } }, { session });
+
+      await LeadComment.create([{
+        leadId: primary._id,
+        author: req.admin.id,
+        body: `Merged ${duplicates.length} duplicate lead(s) into this lead:\n${mergedSummary.join('\n')}`
+      }], { session });
+
+      if (mode === 'delete') {
+        await User.deleteMany({ _id: { $in: duplicateIds } }, { session });
+        await LeadStatusHistory.deleteMany({ leadId: { $in: duplicateIds } }, { session });
+      } else {
+        await User.updateMany(
+          { _id: { $in: duplicateIds } },
+          { $set: { mergedInto: primary._id, archivedAt: new Date(), updatedAt: new Date() } },
+          { session }
+        );
+      }
+
+      await emitWebhookEvent('lead.merged', {
+        ...getLeadWebhookData(primary),
+        mergedLeadIds: duplicates.map(d => d._id),
+        mode
+      }, { session, leadId: primary._id });
+    });
+    triggerOutboxProcessing();
+
+    await logAction(req.admin.id, 'merge_leads', 'User', {
+      userId: primary._id,
+      mode,
+      filledFields,
+      mergedLeads: duplicates.map(d => ({ id: d._id, name: d.name, email: d.email, contact: d.contact, status: d.status }))
+    });
+
+    res.status(200).json({
+      message: `Merged ${duplicates.length} lead(s) into ${primary.name}.`,
+      lead: primary,
+      mode,
+      filledFields: Object.keys(filledFields)
+    });
+  } catch (e) {
+    console.error('Error merging leads:', e);
+    res.status(500).json({ message: 'Error merging leads.', error: e.message });
+  }
+});
+
+// === Admin Login Route (returns JWT) ===
+// Count a failed password or second-factor attempt, deactivating the account at MAX_LOGIN_ATTEMPTS.
+// Returns the message to send back to the client.
+async function registerFailedLogin(admin, loginData) {
+  admin.loginAttempts = (admin.loginAttempts || 0) + 1; // Increment failed attempts
+
+  // Log the failed attempt
+  await LoginHistory.create(loginData);
+
+  if (admin.loginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    admin.active = false; // Deactivate account
+    await admin.save();
+    invalidateAdminAuthCache(admin._id);
+    await revokeAdminSessions(admin._id, 'account_deactivated');
+    // Log the account deactivation in audit logs
+    await logAction(admin._id, 'account_deactivated', 'Admin', { reason: 'Too many failed login attempts', attempts: admin.loginAttempts });
+    await emitWebhookEvent('admin.deactivated', { ...getAdminWebhookData(admin), reason: 'too_many_failed_logins' });
+    return `Your account has been deactivated due to ${MAX_LOGIN_ATTEMPTS} failed login attempts. Please contact an administrator.`;
+  }
+  await admin.save(); // Save the incremented attempts
+  return `You have ${MAX_LOGIN_ATTEMPTS - admin.loginAttempts} attempts remaining.`;
+}
+
+// All factors passed: reset attempts, record the login and open a session. Returns the response body.
+// An expired password must be replaced first, so a change challenge is returned instead of a session.
+async function completeLogin(admin, req, loginData, method) {
+  if (await isAdminPasswordExpired(admin)) {
+    return {
+      message: 'Your password has expired. Choose a new one to continue.',
+      passwordChangeRequired: true,
+      challengeToken: issueLoginChallenge(admin, 'password_change', method)
+    };
+  }
+
+  admin.loginAttempts = 0; // Reset failed attempts on successful login
+  admin.lastLogin = new Date();
+  await admin.save();
+
+  // Log the successful login
+  const loginEntry = await LoginHistory.create({ ...loginData, success: true, method });
+
+  const { sessionId, token, refreshToken } = await createSession(admin, req, loginEntry._id);
+  await logAction(admin._id, 'login', 'Admin', { result: 'success', sessionId, method });
+
+  return {
+    message: 'Login successful.',
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    role: admin.role,
+    username: admin.username,
+    id: admin._id,
+    active: admin.active // Return active status
+  };
+}
+
+// LoginHistory entry for a login step after the password, assuming failure
+function getLoginData(req, admin, method) {
+  return {
+    adminId: admin._id,
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'] || 'unknown',
+    success: false,
+    method
+  };
+}
+
+app.post("/api/admin-login", async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ message: 'Username and password required.' });
+  }
+
+  // Prepare data for login history, assuming failure initially
+  const loginData = {
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'] || 'unknown',
+    success: false // Default to false
+  };
+
+  try {
+    // Try to find admin by username or email (case-insensitive for email)
+    // IMPORTANT: Do NOT filter by `active: true` here, as we need to check inactive accounts too.
+    let admin = await Admin.findOne({
+      $or: [
+        { username: username },
+        { email: username.toLowerCase().trim() }
+      ]
+    });
+
+    // 1. Admin not found at all
+    if (!admin) {
+      // Log failed attempt without an adminId
+      await LoginHistory.create({ ...loginData, adminId: null });
+      return res.status(401).json({ message: 'Invalid username/email or password.' });
+    }
+
+    // Assign admin._id to loginData for logging purposes
+    loginData.adminId = admin._id;
+
+    // 2. Account is inactive (deactivated)
+    if (!admin.active) {
+        await LoginHistory.create(loginData); // Log as failed due to inactive account
+        return res.status(401).json({ message: 'Your account is currently inactive. Please contact an administrator.' });
+    }
+
+    // 3. Compare password
+    const isMatch = await bcrypt.compare(password, admin.password);
+
+    if (!isMatch) {
+      // Password does NOT match
+      const attemptsMessage = await registerFailedLogin(admin, loginData);
+      return res.status(401).json({ message: `Invalid username/email or password. ${attemptsMessage}` });
     }
 
-    await logAction(req.admin.id, 'update_lead', 'User', metadataWithChanges);
-    res.status(200).json({ message: "Lead updated successfully.", lead: updatedUser });
-  } catch (error) {
-    console.error(`Error updating lead with ID (${req.params.id}):`, error);
-    res.status(500).json({ message: "Failed to update lead", error: error.message });
+    // Password matches; a second factor may still be required before a session is issued
+    if (admin.twoFactorEnabled) {
+      return res.status(200).json({
+        message: 'Enter the code from your authenticator app.',
+        twoFactorRequired: true,
+        challengeToken: issueLoginChallenge(admin, '2fa_login')
+      });
+    }
+    if (await roleRequiresTwoFactor(admin.role)) {
+      return res.status(200).json({
+        message: 'Your role requires two-factor authentication. Set it up to continue.',
+        twoFactorSetupRequired: true,
+        challengeToken: issueLoginChallenge(admin, '2fa_setup')
+      });
+    }
+
+    // Successful Login
+    return res.status(200).json(await completeLogin(admin, req, loginData, 'password'));
+  } catch (err) {
+    console.error("Error during admin login:", err);
+    res.status(500).json({ message: 'Server error during login.' });
   }
 });
 
-// === Delete Lead Route (Admin Protected) ===
-app.delete("/api/leads/:id", authMiddleware, requireRole(['SuperAdmin','Admin']), async (req, res) => {
+// === Sessions: refresh, logout and revocation ===
+// Short label for a session list, e.g. "Chrome on Windows"
+function describeUserAgent(userAgent) {
+  if (!userAgent || userAgent === 'unknown') return 'Unknown device';
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+  const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+  const browser = browsers.find(([token]) => userAgent.includes(token));
+  const system = systems.find(([token]) => userAgent.includes(token));
+  if (!browser && !system) return userAgent.slice(0, 60);
+  return [browser ? browser[1] : 'Unknown browser', system ? system[1] : null].filter(Boolean).join(' on ');
+}
+
+async function listActiveSessions(adminId, currentSessionId) {
+  const sessions = await Session.find({ adminId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .populate('loginHistoryId', 'ipAddress loginAt')
+    .lean();
+  return sessions.map(session => ({
+    id: session._id,
+    device: describeUserAgent(session.userAgent),
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    loginIpAddress: session.loginHistoryId?.ipAddress || session.ipAddress,
+    loginAt: session.loginHistoryId?.loginAt || session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: currentSessionId ? session._id.toString() === currentSessionId : false
+  }));
+}
+
+// Exchange a refresh token for a new access/refresh pair. Each refresh token works once; presenting
+// an already-rotated token means it was copied, so the whole session is revoked.
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const { id } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid lead ID format." });
+    const { refreshToken } = req.body;
+    const sessionId = typeof refreshToken === 'string' ? refreshToken.split('.')[0] : null;
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(401).json({ message: 'Invalid refresh token.' });
     }
 
-    // Get lead data before deletion for audit log
-    const leadToDelete = await User.findById(id).lean();
-    if (!leadToDelete) {
-      return res.status(404).json({ message: "Lead not found." });
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ message: 'Session expired or revoked. Please log in again.' });
+    }
+    if (session.previousRefreshTokenHash === tokenHash) {
+      await revokeSessions({ _id: session._id }, 'refresh_token_reuse');
+      await logAction(session.adminId, 'session_revoked', 'Session', { sessionId: session._id, reason: 'refresh_token_reuse' });
+      return res.status(401).json({ message: 'Session expired or revoked. Please log in again.' });
+    }
+    if (session.refreshTokenHash !== tokenHash) {
+      return res.status(401).json({ message: 'Invalid refresh token.' });
     }
 
-    const deletedUser = await User.findByIdAndDelete(id);
+    const admin = await Admin.findById(session.adminId);
+    if (!admin || !admin.active) {
+      await revokeSessions({ _id: session._id }, admin ? 'account_inactive' : 'admin_deleted');
+      return res.status(401).json({ message: 'Your account is currently inactive. Please contact an administrator.' });
+    }
+    // The role may have started requiring 2FA after this session was opened
+    if (!admin.twoFactorEnabled && await roleRequiresTwoFactor(admin.role)) {
+      await revokeSessions({ _id: session._id }, '2fa_required');
+      return res.status(401).json({ message: 'Your role requires two-factor authentication. Please log in again to set it up.' });
+    }
 
-    // Include detailed information in audit log
-    await logAction(req.admin.id, 'delete_lead', 'User', {
-      leadId: id,
-      userId: id,
-      leadName: leadToDelete.name,
-      leadEmail: leadToDelete.email,
-      leadContact: leadToDelete.contact,
-      leadStatus: leadToDelete.status,
-      deletedAt: new Date()
+    // Conditional on the current hash so two concurrent refreshes cannot both rotate
+    const nextRefreshToken = `${session._id}.${generateRefreshSecret()}`;
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hashToken(nextRefreshToken),
+          previousRefreshTokenHash: tokenHash,
+          lastUsedAt: new Date(),
+          ipAddress: getClientIp(req)
+        }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid refresh token.' });
+    }
+
+    res.status(200).json({
+      token: generateToken(admin, session._id),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
     });
+  } catch (e) {
+    console.error('Error refreshing session:', e);
+    res.status(500).json({ message: 'Error refreshing session.', error: e.message });
+  }
+});
 
-    console.log("Lead deleted successfully:", id);
-    res.status(200).json({ message: "Lead deleted successfully." });
-  } catch (error) {
-    console.error(`Error deleting lead with ID (${req.params.id}):`, error);
-    res.status(500).json({ message: "Internal Server Error occurred while deleting.", error: error.message });
+// Log out of the current session
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.admin.sid }, 'logout', req.admin.id);
+    await logAction(req.admin.id, 'logout', 'Session', { sessionId: req.admin.sid });
+    res.status(200).json({ message: 'Logged out.' });
+  } catch (e) {
+    res.status(500).json({ message: 'Error logging out.', error: e.message });
   }
 });
 
-// === Bulk Lead Operations ===
-// Bulk update leads
-app.put('/api/leads/bulk-update', authMiddleware, requireRole(['SuperAdmin', 'Admin', 'EditMode']), async (req, res) => {
+// List the current admin's active sessions
+app.get('/api/sessions', authMiddleware, async (req, res) => {
   try {
-    const { leadIds, updateData } = req.body;
+    const sessions = await listActiveSessions(req.admin.id, req.admin.sid);
+    res.status(200).json(sessions);
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching sessions.', error: e.message });
+  }
+});
 
-    if (!Array.isArray(leadIds) || leadIds.length === 0) {
-      return res.status(400).json({ message: 'No lead IDs provided.' });
+// Revoke all of the current admin's sessions (?exceptCurrent=true keeps this one)
+app.delete('/api/sessions', authMiddleware, async (req, res) => {
+  try {
+    const filter = { adminId: req.admin.id };
+    if (req.query.exceptCurrent === 'true') filter._id = { $ne: req.admin.sid };
+    const revoked = await revokeSessions(filter, 'revoked_by_owner', req.admin.id);
+    await logAction(req.admin.id, 'revoke_sessions', 'Session', { adminId: req.admin.id, revoked, exceptCurrent: Boolean(filter._id) });
+    res.status(200).json({ message: `${revoked} session(s) revoked.`, revoked });
+  } catch (e) {
+    res.status(500).json({ message: 'Error revoking sessions.', error: e.message });
+  }
+});
+
+// Revoke a single session; admins may revoke their own, SuperAdmins anyone's
+app.delete('/api/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid session ID.' });
     }
+    const session = await Session.findById(id).lean();
+    if (!session || (session.adminId.toString() !== req.admin.id && req.admin.role !== 'SuperAdmin')) {
+      return res.status(404).json({ message: 'Session not found.' });
+    }
+    if (session.revokedAt) {
+      return res.status(400).json({ message: 'Session is already revoked.' });
+    }
+    const reason = session.adminId.toString() === req.admin.id ? 'revoked_by_owner' : 'revoked_by_superadmin';
+    await revokeSessions({ _id: session._id }, reason, req.admin.id);
+    await logAction(req.admin.id, 'revoke_session', 'Session', { sessionId: session._id, adminId: session.adminId, reason });
+    res.status(200).json({ message: 'Session revoked.' });
+  } catch (e) {
+    res.status(500).json({ message: 'Error revoking session.', error: e.message });
+  }
+});
 
-    if (!updateData || Object.keys(updateData).length === 0) {
-      return res.status(400).json({ message: 'No update data provided.' });
+// List another admin's active sessions (SuperAdmin only)
+app.get('/api/admins/:id/sessions', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid admin ID.' });
     }
+    const sessions = await listActiveSessions(id, req.admin.sid);
+    res.status(200).json(sessions);
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching sessions.', error: e.message });
+  }
+});
 
-    // Filter update fields
-    const allowedFields = ['status', 'notes', 'assignedTo', 'contactedScore', 'contactedComment'];
-    const updateFields = {};
-    for (const key of allowedFields) {
-      if (updateData[key] !== undefined) updateFields[key] = updateData[key];
+// Revoke every session of another admin (SuperAdmin only)
+app.delete('/api/admins/:id/sessions', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid admin ID.' });
     }
+    const revoked = await revokeAdminSessions(id, 'revoked_by_superadmin', req.admin.id);
+    await logAction(req.admin.id, 'revoke_sessions', 'Session', { adminId: id, revoked });
+    res.status(200).json({ message: `${revoked} session(s) revoked.`, revoked });
+  } catch (e) {
+    res.status(500).json({ message: 'Error revoking sessions.', error: e.message });
+  }
+});
 
-    // Get original lead data for audit logs
-    const originalLeads = await User.find({ _id: { $in: leadIds } }).lean();
+// === Password Change and Reset ===
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'https://dashboard.connectingdotserp.com/reset-password';
+const PASSWORD_RESET_REQUEST_INTERVAL_MS = 2 * 60 * 1000; // At most one email per admin in this window
 
-    // Extract basic info for audit logs
-    const leadsInfo = originalLeads.map(lead => ({
-      id: lead._id,
-      name: lead.name,
-      email: lead.email,
-      contact: lead.contact
-    }));
+async function getPasswordPolicy() {
+  const setting = await Settings.findOne({ key: 'passwordPolicy' }).lean();
+  return passwordPolicy.resolvePasswordPolicy(setting && setting.value);
+}
 
-    // Update documents
-    const result = await User.updateMany(
-      { _id: { $in: leadIds } },
-      { $set: updateFields }
-    );
+// Check a proposed password against the policy (including reuse for existing accounts).
+// Returns an error message, or null if it is acceptable.
+async function checkNewPassword(account, newPassword) {
+  return passwordPolicy.checkNewPassword(newPassword, await getPasswordPolicy(), account);
+}
 
-    // Enhanced audit logging
-    await logAction(req.admin.id, 'bulk_update_leads', 'User', {
-      count: result.modifiedCount,
-      updateFields,
-      affectedLeads: leadsInfo
-    });
+// Whether the admin must choose a new password before a session is issued
+async function isAdminPasswordExpired(admin) {
+  return passwordPolicy.isPasswordExpired(admin, await getPasswordPolicy());
+}
+
+// Store a new password (call checkNewPassword first), clear failed attempts and invalidate access
+// tokens issued before the change
+async function setAdminPassword(admin, newPassword) {
+  Object.assign(admin, await passwordPolicy.buildPasswordFields(newPassword, await getPasswordPolicy(), admin));
+  admin.loginAttempts = 0;
+  admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+  await admin.save();
+  invalidateAdminAuthCache(admin._id);
+}
+
+// Change own password. Other sessions are revoked; the current one continues with the returned token.
+app.post('/api/auth/change-password', authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required.' });
+    }
+
+    const admin = await Admin.findById(req.admin.id);
+    if (!admin) return res.status(404).json({ message: 'Admin not found.' });
+    if (!(await bcrypt.compare(currentPassword, admin.password))) {
+      return res.status(401).json({ message: 'Current password is incorrect.' });
+    }
+    if (await bcrypt.compare(newPassword, admin.password)) {
+      return res.status(400).json({ message: 'New password must be different from the current password.' });
+    }
+    const passwordError = await checkNewPassword(admin, newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    await setAdminPassword(admin, newPassword);
+    const revokedSessions = await revokeSessions(
+      { adminId: admin._id, _id: { $ne: req.admin.sid } }, 'password_changed', admin._id
+    );
+    await logAction(req.admin.id, 'change_password', 'Admin', { adminId: admin._id, revokedSessions });
 
     res.status(200).json({
-      message: `Updated ${result.modifiedCount} leads.`,
-      modifiedCount: result.modifiedCount
+      message: 'Password changed.',
+      token: generateToken(admin, req.admin.sid),
+      expiresIn: ACCESS_TOKEN_TTL
     });
   } catch (e) {
-    res.status(500).json({ message: 'Error updating leads.', error: e.message });
+    console.error('Error changing password:', e);
+    res.status(500).json({ message: 'Error changing password.', error: e.message });
   }
 });
 
-// Bulk delete leads
-app.delete('/api/leads/bulk-delete', authMiddleware, requireRole(['SuperAdmin', 'Admin']), async (req, res) => {
+// Email a reset link. The response is the same whether or not the account exists.
+app.post('/api/auth/forgot-password', async (req, res) => {
+  const genericResponse = { message: 'If an account with that email exists, a password reset link has been sent.' };
   try {
-    const { leadIds } = req.body;
-
-    if (!Array.isArray(leadIds) || leadIds.length === 0) {
-      return res.status(400).json({ message: 'No lead IDs provided.' });
+    const identifier = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    if (!identifier) {
+      return res.status(400).json({ message: 'Email is required.' });
     }
 
-    // Get lead data before deletion for audit logs
-    const leadsToDelete = await User.find({ _id: { $in: leadIds } }).lean();
-
-    // Extract basic info for audit logs
-    const leadsInfo = leadsToDelete.map(lead => ({
-      id: lead._id,
-      name: lead.name,
-      email: lead.email,
-      contact: lead.contact,
-      status: lead.status
-    }));
+    const admin = await Admin.findOne({ $or: [{ email: identifier.toLowerCase() }, { username: identifier }] });
+    // Deactivated accounts must be re-enabled by an administrator, not by email
+    if (!admin || !admin.active || !admin.email) {
+      return res.status(200).json(genericResponse);
+    }
 
-    // Delete documents
-    const result = await User.deleteMany({ _id: { $in: leadIds } });
+    const recent = await PasswordResetToken.exists({
+      adminId: admin._id,
+      createdAt: { $gt: new Date(Date.now() - PASSWORD_RESET_REQUEST_INTERVAL_MS) }
+    });
+    if (recent) {
+      return res.status(200).json(genericResponse);
+    }
 
-    // Enhanced audit logging
-    await logAction(req.admin.id, 'bulk_delete_leads', 'User', {
-      count: result.deletedCount,
-      leadIds,
-      deletedLeads: leadsInfo,
-      deletedAt: new Date()
+    // Only the newest link works
+    await PasswordResetToken.updateMany({ adminId: admin._id, usedAt: null }, { $set: { usedAt: new Date() } });
+    const token = crypto.randomBytes(32).toString('base64url');
+    const requestedIp = getClientIp(req);
+    await PasswordResetToken.create({
+      adminId: admin._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+      requestedIp
     });
 
-    res.status(200).json({
-      message: `Deleted ${result.deletedCount} leads.`,
-      deletedCount: result.deletedCount
+    const resetUrl = `${PASSWORD_RESET_URL}${PASSWORD_RESET_URL.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+    await queueTemplatedEmail('password_reset', {
+      admin: { username: admin.username },
+      resetUrl,
+      expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+      requestedIp
+    }, {
+      to: admin.email,
+      from: getSenderEmail()
     });
+    await logAction(admin._id, 'request_password_reset', 'Admin', { adminId: admin._id, ipAddress: requestedIp });
+
+    res.status(200).json(genericResponse);
   } catch (e) {
-    res.status(500).json({ message: 'Error deleting leads.', error: e.message });
+    console.error('Error requesting password reset:', e);
+    res.status(500).json({ message: 'Error requesting password reset.', error: e.message });
   }
 });
 
-// === Lead Filters ===
-app.get('/api/leads/filter', authMiddleware, requireRole(['SuperAdmin', 'Admin', 'EditMode', 'ViewMode']), async (req, res) => {
+// Set a new password with a token from the reset email; every session of the account is revoked
+app.post('/api/auth/reset-password', async (req, res) => {
   try {
-    const { status, assignedTo, startDate, endDate, coursename, location, search } = req.query;
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Reset token and new password are required.' });
+    }
 
-    // Build filter
-    const filter = {};
+    const validToken = { tokenHash: hashToken(String(token)), usedAt: null, expiresAt: { $gt: new Date() } };
+    const resetToken = await PasswordResetToken.findOne(validToken).lean();
+    const admin = resetToken ? await Admin.findById(resetToken.adminId) : null;
+    if (!admin || !admin.active) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired.' });
+    }
 
-    if (status) {
-      filter.status = status;
+    // Check the policy before spending the token so the admin can retry with a better password
+    const passwordError = await checkNewPassword(admin, newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
     }
 
-    if (assignedTo) {
-      if (assignedTo === 'unassigned') {
-        filter.assignedTo = null;
-      } else if (assignedTo === 'assigned') {
-        filter.assignedTo = { $ne: null };
-      } else {
-        filter.assignedTo = assignedTo;
-      }
+    // Claim the token atomically so it can only be used once
+    const claimed = await PasswordResetToken.findOneAndUpdate(validToken, { $set: { usedAt: new Date() } });
+    if (!claimed) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired.' });
     }
 
-    if (startDate && endDate) {
-      filter.createdAt = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
-    } else if (startDate) {
-      filter.createdAt = { $gte: new Date(startDate) };
-    } else if (endDate) {
-      filter.createdAt = { $lte: new Date(endDate) };
+    await setAdminPassword(admin, newPassword);
+    const revokedSessions = await revokeAdminSessions(admin._id, 'password_reset');
+    await logAction(admin._id, 'reset_password_via_email', 'Admin', {
+      adminId: admin._id,
+      ipAddress: getClientIp(req),
+      revokedSessions
+    });
+
+    res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (e) {
+    console.error('Error resetting password:', e);
+    res.status(500).json({ message: 'Error resetting password.', error: e.message });
+  }
+});
+
+// Finish a login whose password expired by choosing a new one
+app.post('/api/admin-login/change-password', async (req, res) => {
+  try {
+    const { challengeToken, newPassword } = req.body;
+    const { admin, method } = (await readLoginChallenge(challengeToken, 'password_change')) || {};
+    if (!admin) {
+      return res.status(401).json({ message: 'Login challenge expired. Please log in again.' });
+    }
+    if (!newPassword) {
+      return res.status(400).json({ message: 'New password is required.' });
+    }
+    // Rejected even when historyCount is 0, otherwise the expired password could simply be set again
+    if (await bcrypt.compare(newPassword, admin.password)) {
+      return res.status(400).json({ message: 'New password must be different from the current password.' });
+    }
+    const passwordError = await checkNewPassword(admin, newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    await setAdminPassword(admin, newPassword);
+    const revokedSessions = await revokeAdminSessions(admin._id, 'password_changed', admin._id);
+    await logAction(admin._id, 'change_password', 'Admin', { adminId: admin._id, reason: 'expired', revokedSessions });
+
+    res.status(200).json(await completeLogin(admin, req, getLoginData(req, admin, method), method));
+  } catch (e) {
+    console.error('Error changing expired password:', e);
+    res.status(500).json({ message: 'Error changing password.', error: e.message });
+  }
+});
+
+// Current password rules, for the change and reset forms
+app.get('/api/auth/password-policy', async (req, res) => {
+  try {
+    const policy = await getPasswordPolicy();
+    res.status(200).json({ policy, rules: passwordPolicy.describePasswordPolicy(policy) });
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching password policy.', error: e.message });
+  }
+});
+
+// === Two-Factor Authentication ===
+// Second login step: exchange the challenge token and a TOTP or recovery code for a session
+app.post('/api/admin-login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'Authentication code or recovery code required.' });
+    }
+    const { admin } = (await readLoginChallenge(challengeToken, '2fa_login')) || {};
+    if (!admin) {
+      return res.status(401).json({ message: 'Login challenge expired. Please log in again.' });
     }
 
-    if (coursename) {
-      filter.coursename = coursename;
+    const method = await verifySecondFactor(admin, { code, recoveryCode });
+    if (!method) {
+      const attemptsMessage = await registerFailedLogin(admin, getLoginData(req, admin, recoveryCode ? 'recovery_code' : 'totp'));
+      return res.status(401).json({ message: `Invalid authentication code. ${attemptsMessage}` });
     }
 
-    // Handle location filtering - accept multiple location parameters for OR filtering
-    if (location) {
-      // If we receive a single location
-      if (typeof location === 'string') {
-        filter.location = { $regex: new RegExp(location, 'i') };
-      }
-      // If we receive multiple locations, use $or to match any of them
-      else if (Array.isArray(location)) {
-        filter.$or = filter.$or || [];
-        filter.$or.push(...location.map(loc => ({
-          location: { $regex: new RegExp(loc, 'i') }
-        })));
-      }
+    const body = await completeLogin(admin, req, getLoginData(req, admin, method), method);
+    if (method === 'recovery_code') {
+      body.recoveryCodesRemaining = admin.twoFactorRecoveryCodes.length;
+      await logAction(admin._id, 'use_2fa_recovery_code', 'Admin', { remaining: body.recoveryCodesRemaining });
     }
+    res.status(200).json(body);
+  } catch (e) {
+    console.error('Error verifying two-factor login:', e);
+    res.status(500).json({ message: 'Server error during login.', error: e.message });
+  }
+});
 
-    if (search) {
-      // If we already have $or from locations, we need to merge with search conditions
-      const searchConditions = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { contact: { $regex: search, $options: 'i' } }
-      ];
+// Enrollment during login, for roles that require 2FA and admins who have not set it up yet
+app.post('/api/admin-login/2fa/setup', async (req, res) => {
+  try {
+    const { admin } = (await readLoginChallenge(req.body.challengeToken, '2fa_setup')) || {};
+    if (!admin) {
+      return res.status(401).json({ message: 'Login challenge expired. Please log in again.' });
+    }
+    // A setup challenge must never replace a second factor that is already in place
+    if (admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled. Please log in again.' });
+    }
+    res.status(200).json(await startTwoFactorSetup(admin));
+  } catch (e) {
+    console.error('Error starting two-factor setup:', e);
+    res.status(500).json({ message: 'Error starting two-factor setup.', error: e.message });
+  }
+});
 
-      if (filter.$or) {
-        // Combined location and search filtering using $and
-        filter.$and = [
-          { $or: filter.$or },
-          { $or: searchConditions }
-        ];
-        // Remove the original $or
-        delete filter.$or;
-      } else {
-        filter.$or = searchConditions;
-      }
+app.post('/api/admin-login/2fa/enable', async (req, res) => {
+  try {
+    const { admin } = (await readLoginChallenge(req.body.challengeToken, '2fa_setup')) || {};
+    if (!admin) {
+      return res.status(401).json({ message: 'Login challenge expired. Please log in again.' });
+    }
+    // A setup challenge must never replace a second factor that is already in place
+    if (admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled. Please log in again.' });
     }
+    if (!admin.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first.' });
+    }
+    const recoveryCodes = await completeTwoFactorSetup(admin, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code.' });
+    }
+    await logAction(admin._id, 'enable_2fa', 'Admin', { adminId: admin._id, duringLogin: true });
 
-    // Get filtered leads
-    const leads = await User.find(filter)
-      .sort({ createdAt: -1 })
-      .populate('assignedTo', 'username role color')
-      .lean();
+    const body = await completeLogin(admin, req, getLoginData(req, admin, 'totp'), 'totp');
+    res.status(200).json({ ...body, recoveryCodes });
+  } catch (e) {
+    console.error('Error enabling two-factor authentication:', e);
+    res.status(500).json({ message: 'Error enabling two-factor authentication.', error: e.message });
+  }
+});
 
-    res.status(200).json(leads);
+// Current admin's 2FA status
+app.get('/api/2fa', authMiddleware, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id).lean();
+    if (!admin) return res.status(404).json({ message: 'Admin not found.' });
+    res.status(200).json({
+      enabled: Boolean(admin.twoFactorEnabled),
+      enabledAt: admin.twoFactorEnabledAt,
+      recoveryCodesRemaining: (admin.twoFactorRecoveryCodes || []).length,
+      requiredByRole: await roleRequiresTwoFactor(admin.role)
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching two-factor status.', error: e.message });
+  }
+});
+
+// Start enrollment; returns the secret and an otpauth:// URI for a QR code
+app.post('/api/2fa/setup', authMiddleware, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id);
+    if (!admin) return res.status(404).json({ message: 'Admin not found.' });
+    if (admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+    }
+    if (!req.body.password || !(await bcrypt.compare(req.body.password, admin.password))) {
+      return res.status(401).json({ message: 'Current password is incorrect.' });
+    }
+    res.status(200).json(await startTwoFactorSetup(admin));
+  } catch (e) {
+    console.error('Error starting two-factor setup:', e);
+    res.status(500).json({ message: 'Error starting two-factor setup.', error: e.message });
+  }
+});
+
+// Confirm enrollment with a code from the app; returns one-time recovery codes
+app.post('/api/2fa/enable', authMiddleware, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id);
+    if (!admin) return res.status(404).json({ message: 'Admin not found.' });
+    if (admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+    }
+    if (!admin.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first.' });
+    }
+    const recoveryCodes = await completeTwoFactorSetup(admin, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code.' });
+    }
+    await logAction(req.admin.id, 'enable_2fa', 'Admin', { adminId: admin._id });
+    res.status(200).json({ message: 'Two-factor authentication enabled.', recoveryCodes });
   } catch (e) {
-    res.status(500).json({ message: 'Error filtering leads.', error: e.message });
+    console.error('Error enabling two-factor authentication:', e);
+    res.status(500).json({ message: 'Error enabling two-factor authentication.', error: e.message });
   }
 });
 
-// === Admin Login Route (returns JWT) ===
-app.post("/api/admin-login", async (req, res) => {
-  const { username, password } = req.body;
-  if (!username || !password) {
-    return res.status(400).json({ message: 'Username and password required.' });
-  }
-
-  // Prepare data for login history, assuming failure initially
-  const loginData = {
-    ipAddress: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
-    userAgent: req.headers['user-agent'] || 'unknown',
-    success: false // Default to false
-  };
-
+// Turn 2FA off; needs the password and a current code, and is refused when the role requires 2FA
+app.post('/api/2fa/disable', authMiddleware, async (req, res) => {
   try {
-    // Try to find admin by username or email (case-insensitive for email)
-    // IMPORTANT: Do NOT filter by `active: true` here, as we need to check inactive accounts too.
-    let admin = await Admin.findOne({
-      $or: [
-        { username: username },
-        { email: username.toLowerCase().trim() }
-      ]
-    });
-
-    // 1. Admin not found at all
-    if (!admin) {
-      // Log failed attempt without an adminId
-      await LoginHistory.create({ ...loginData, adminId: null });
-      return res.status(401).json({ message: 'Invalid username/email or password.' });
+    const { password, code, recoveryCode } = req.body;
+    const admin = await Admin.findById(req.admin.id);
+    if (!admin) return res.status(404).json({ message: 'Admin not found.' });
+    if (!admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
     }
-
-    // Assign admin._id to loginData for logging purposes
-    loginData.adminId = admin._id;
-
-    // 2. Account is inactive (deactivated)
-    if (!admin.active) {
-        await LoginHistory.create(loginData); // Log as failed due to inactive account
-        return res.status(401).json({ message: 'Your account is currently inactive. Please contact an administrator.' });
+    if (await roleRequiresTwoFactor(admin.role)) {
+      return res.status(403).json({ message: 'Your role requires two-factor authentication.' });
+    }
+    if (!password || !(await bcrypt.compare(password, admin.password))) {
+      return res.status(401).json({ message: 'Current password is incorrect.' });
+    }
+    if (!(await verifySecondFactor(admin, { code, recoveryCode }))) {
+      return res.status(401).json({ message: 'Invalid authentication code.' });
     }
 
-    // 3. Compare password
-    const isMatch = await bcrypt.compare(password, admin.password);
-
-    if (!isMatch) {
-      // Password does NOT match
-      admin.loginAttempts = (admin.loginAttempts || 0) + 1; // Increment failed attempts
+    clearTwoFactor(admin);
+    await admin.save();
+    await logAction(req.admin.id, 'disable_2fa', 'Admin', { adminId: admin._id });
+    res.status(200).json({ message: 'Two-factor authentication disabled.' });
+  } catch (e) {
+    console.error('Error disabling two-factor authentication:', e);
+    res.status(500).json({ message: 'Error disabling two-factor authentication.', error: e.message });
+  }
+});
 
-      // Log the failed attempt
-      await LoginHistory.create(loginData);
+// Replace all recovery codes (the old ones stop working)
+app.post('/api/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id);
+    if (!admin) return res.status(404).json({ message: 'Admin not found.' });
+    if (!admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+    }
+    if (!(await verifySecondFactor(admin, { code: req.body.code }))) {
+      return res.status(401).json({ message: 'Invalid authentication code.' });
+    }
 
-      if (admin.loginAttempts >= MAX_LOGIN_ATTEMPTS) {
-        admin.active = false; // Deactivate account
-        await admin.save();
-        // Log the account deactivation in audit logs
-        await logAction(admin._id, 'account_deactivated', 'Admin', { reason: 'Too many failed login attempts', attempts: admin.loginAttempts });
-        return res.status(401).json({ message: `Invalid password. Your account has been deactivated due to ${MAX_LOGIN_ATTEMPTS} failed login attempts. Please contact an administrator.` });
-      } else {
-        await admin.save(); // Save the incremented attempts
-        return res.status(401).json({ message: `Invalid username/email or password. You have ${MAX_LOGIN_ATTEMPTS - admin.loginAttempts} attempts remaining.` });
-      }
-    } else {
-      // Password MATCHES (Successful Login)
-      admin.loginAttempts = 0; // Reset failed attempts on successful login
-      admin.lastLogin = new Date();
-      await admin.save();
+    const { codes, hashes } = generateRecoveryCodes();
+    admin.twoFactorRecoveryCodes = hashes;
+    await admin.save();
+    await logAction(req.admin.id, 'regenerate_2fa_recovery_codes', 'Admin', { adminId: admin._id });
+    res.status(200).json({ message: 'Recovery codes regenerated.', recoveryCodes: codes });
+  } catch (e) {
+    console.error('Error regenerating recovery codes:', e);
+    res.status(500).json({ message: 'Error regenerating recovery codes.', error: e.message });
+  }
+});
 
-      // Log the successful login
-      loginData.success = true; // Mark as success
-      await LoginHistory.create(loginData);
+// Reset another admin's 2FA, e.g. after a lost phone (SuperAdmin only). Their sessions are revoked.
+app.post('/api/admins/:id/2fa/reset', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid admin ID.' });
+    }
+    const admin = await Admin.findById(id);
+    if (!admin) return res.status(404).json({ message: 'Admin not found.' });
 
-      const token = generateToken(admin);
-      await logAction(admin._id, 'login', 'Admin', { result: 'success' });
+    const wasEnabled = admin.twoFactorEnabled;
+    clearTwoFactor(admin);
+    await admin.save();
+    const revokedSessions = await revokeAdminSessions(admin._id, '2fa_reset', req.admin.id);
 
-      return res.status(200).json({
-        message: 'Login successful.',
-        token,
-        role: admin.role,
-        username: admin.username,
-        id: admin._id,
-        active: admin.active // Return active status
-      });
-    }
-  } catch (err) {
-    console.error("Error during admin login:", err);
-    res.status(500).json({ message: 'Server error during login.' });
+    await logAction(req.admin.id, 'reset_2fa', 'Admin', {
+      targetAdminId: admin._id,
+      targetUsername: admin.username,
+      wasEnabled,
+      revokedSessions
+    });
+    res.status(200).json({ message: 'Two-factor authentication reset.' });
+  } catch (e) {
+    console.error('Error resetting two-factor authentication:', e);
+    res.status(500).json({ message: 'Error resetting two-factor authentication.', error: e.message });
   }
 });
 
 // === Admin CRUD (SuperAdmin only) ===
 
 // Create Admin
-app.post('/api/admins', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+app.post('/api/admins', authMiddleware, requirePermission('admins', 'create'), async (req, res) => {
   try {
     const { username, password, role, email, location, color } = req.body;
     if (!username || !password || !role) {
       return res.status(400).json({ message: 'Username, password, and role are required.' });
     }
-    if (!['SuperAdmin','Admin','ViewMode','EditMode'].includes(role)) {
+    if (!(await roleExists(role))) {
       return res.status(400).json({ message: 'Invalid role.' });
     }
+    // Only a SuperAdmin may create another SuperAdmin
+    if (role === 'SuperAdmin' && req.admin.role !== 'SuperAdmin') {
+      return res.status(403).json({ message: 'Only a SuperAdmin can create SuperAdmin accounts.' });
+    }
+    if (!(await roleWithinGrantorPermissions(req.admin.role, role))) {
+      return res.status(403).json({ message: 'You cannot assign a role with permissions you do not have.' });
+    }
     const existing = await Admin.findOne({ username });
     if (existing) {
       return res.status(409).json({ message: 'Username already exists.' });
     }
-    const hashed = await bcrypt.hash(password, 10);
+    const passwordError = await checkNewPassword({ username, email }, password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+    const passwordFields = await passwordPolicy.buildPasswordFields(password, await getPasswordPolicy());
     const admin = await Admin.create({
       username,
-      password: hashed,
+      ...passwordFields,
       role,
       email,
       location: location || 'Other',
@@ -1114,6 +5477,7 @@ app.post('/api/admins', authMiddleware, requireRole(['SuperAdmin']), async (req,
       active: true // New admins are active by default
     });
     await logAction(req.admin.id, 'create_admin', 'Admin', { adminId: admin._id, username, role });
+    await emitWebhookEvent('admin.created', getAdminWebhookData(admin));
     res.status(201).json({ message: 'Admin created.', admin: { id: admin._id, username: admin.username, role: admin.role, active: admin.active } });
   } catch (e) {
     res.status(500).json({ message: 'Error creating admin.', error: e.message });
@@ -1121,14 +5485,14 @@ app.post('/api/admins', authMiddleware, requireRole(['SuperAdmin']), async (req,
 });
 
 // List Admins (SuperAdmin and Admin)
-app.get('/api/admins', authMiddleware, requireRole(['SuperAdmin', 'Admin']), async (req, res) => {
+app.get('/api/admins', authMiddleware, requirePermission('admins', 'read'), async (req, res) => {
   try {
     // For non-SuperAdmin users, return limited admin information
-    const query = req.admin.role === 'Admin' ?
-      { role: { $ne: 'SuperAdmin' } } : // Admin users can't view SuperAdmins
+    const query = req.admin.role !== 'SuperAdmin' ?
+      { role: { $ne: 'SuperAdmin' } } : // Non-SuperAdmin users can't view SuperAdmins
       {};
 
-    const admins = await Admin.find(query).select('username email role active createdAt lastLogin location color loginAttempts').sort({ createdAt: -1 }); // Added loginAttempts
+    const admins = await Admin.find(query).select('username email role active createdAt lastLogin location color loginAttempts twoFactorEnabled').sort({ createdAt: -1 }); // Added loginAttempts
     res.status(200).json(admins);
   } catch (err) {
     console.error('Error fetching admins:', err);
@@ -1137,13 +5501,13 @@ app.get('/api/admins', authMiddleware, requireRole(['SuperAdmin', 'Admin']), asy
 });
 
 // Update Admin (role, active, password, email, location, color)
-app.put('/api/admins/:id', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+app.put('/api/admins/:id', authMiddleware, requirePermission('admins', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { role, active, password, email, location, color } = req.body;
     const updateFields = {};
     if (role) {
-      if (!['SuperAdmin','Admin','ViewMode','EditMode'].includes(role)) {
+      if (!(await roleExists(role))) {
         return res.status(400).json({ message: 'Invalid role.' });
       }
       updateFields.role = role;
@@ -1156,7 +5520,6 @@ app.put('/api/admins/:id', authMiddleware, requireRole(['SuperAdmin']), async (r
             updateFields.loginAttempts = 0;
         }
     }
-    if (password) updateFields.password = await bcrypt.hash(password, 10);
     if (email) updateFields.email = email;
     if (location) updateFields.location = location;
     if (color) updateFields.color = color;
@@ -1167,17 +5530,56 @@ app.put('/api/admins/:id', authMiddleware, requireRole(['SuperAdmin']), async (r
       return res.status(404).json({ message: 'Admin not found.' });
     }
 
-    const admin = await Admin.findByIdAndUpdate(id, updateFields, { new: true, runValidators: true });
+    // Only a SuperAdmin may modify SuperAdmin accounts or promote someone to SuperAdmin
+    if ((existingAdmin.role === 'SuperAdmin' || updateFields.role === 'SuperAdmin') && req.admin.role !== 'SuperAdmin') {
+      return res.status(403).json({ message: 'Only a SuperAdmin can modify SuperAdmin accounts.' });
+    }
+    if (updateFields.role !== undefined && updateFields.role !== existingAdmin.role) {
+      if (existingAdmin._id.toString() === req.admin.id.toString()) {
+        return res.status(403).json({ message: 'You cannot change your own role.' });
+      }
+      if (!(await roleWithinGrantorPermissions(req.admin.role, updateFields.role))) {
+        return res.status(403).json({ message: 'You cannot assign a role with permissions you do not have.' });
+      }
+    }
+
+    if (password) {
+      const account = {
+        username: existingAdmin.username,
+        email: updateFields.email || existingAdmin.email,
+        password: existingAdmin.password,
+        passwordHistory: existingAdmin.passwordHistory
+      };
+      const passwordError = await checkNewPassword(account, password);
+      if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+      }
+      Object.assign(updateFields, await passwordPolicy.buildPasswordFields(password, await getPasswordPolicy(), account));
+    }
+
+    // A role or password change invalidates access tokens issued before it
+    const credentialsChanged = Boolean(updateFields.password) ||
+      (updateFields.role !== undefined && updateFields.role !== existingAdmin.role);
+    const update = credentialsChanged ? { ...updateFields, $inc: { tokenVersion: 1 } } : updateFields;
+
+    const admin = await Admin.findByIdAndUpdate(id, update, { new: true, runValidators: true });
     if (!admin) return res.status(404).json({ message: 'Admin not found.' });
+    invalidateAdminAuthCache(admin._id);
 
-    // Log the changes made
+    // Log the changes made (password hashes are never written to the audit log)
+    const passwordFields = ['password', 'passwordHistory', 'passwordChangedAt'];
     const metadata = { adminId: id };
     for (const key in updateFields) {
-        if (updateFields.hasOwnProperty(key)) {
+        if (updateFields.hasOwnProperty(key) && !passwordFields.includes(key)) {
             metadata[key] = { from: existingAdmin[key], to: updateFields[key] };
         }
     }
+    if (updateFields.password) metadata.passwordChanged = true;
     await logAction(req.admin.id, 'update_admin', 'Admin', metadata);
+    if (updateFields.active === false || updateFields.password) {
+      await revokeAdminSessions(admin._id, updateFields.active === false ? 'admin_deactivated' : 'password_changed', req.admin.id);
+    }
+    await emitWebhookEvent('admin.updated', { ...getAdminWebhookData(admin), changedFields: Object.keys(updateFields).filter(key => key !== 'passwordHistory' && key !== 'passwordChangedAt') });
     
     res.status(200).json({
       message: 'Admin updated.',
@@ -1198,15 +5600,11 @@ app.put('/api/admins/:id', authMiddleware, requireRole(['SuperAdmin']), async (r
 
 
 // Reset another admin's password (SuperAdmin only)
-app.post('/api/admins/:id/reset-password', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+app.post('/api/admins/:id/reset-password', authMiddleware, requirePermission('admins', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { newPassword } = req.body;
 
-    if (!newPassword || newPassword.length < 6) {
-      return res.status(400).json({ message: 'New password must be at least 6 characters.' });
-    }
-
     const admin = await Admin.findById(id);
     if (!admin) {
       return res.status(404).json({ message: 'Admin not found.' });
@@ -1217,14 +5615,18 @@ app.post('/api/admins/:id/reset-password', authMiddleware, requireRole(['SuperAd
       return res.status(403).json({ message: 'Cannot reset password for a SuperAdmin.' });
     }
 
-    const hashed = await bcrypt.hash(newPassword, 10);
-    admin.password = hashed;
-    admin.loginAttempts = 0;
-    await admin.save();
+    const passwordError = await checkNewPassword(admin, newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    await setAdminPassword(admin, newPassword);
+    const revokedSessions = await revokeAdminSessions(admin._id, 'password_reset', req.admin.id);
 
     await logAction(req.admin.id, 'reset_password', 'Admin', {
       targetAdminId: admin._id,
       targetUsername: admin.username,
+      revokedSessions
     });
 
     res.status(200).json({ message: 'Password reset successfully.' });
@@ -1236,7 +5638,7 @@ app.post('/api/admins/:id/reset-password', authMiddleware, requireRole(['SuperAd
 
 
 // Delete Admin
-app.delete('/api/admins/:id', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+app.delete('/api/admins/:id', authMiddleware, requirePermission('admins', 'delete'), async (req, res) => {
   try {
     const { id } = req.params;
     if (req.admin.id === id) {
@@ -1247,9 +5649,16 @@ app.delete('/api/admins/:id', authMiddleware, requireRole(['SuperAdmin']), async
     const adminToDelete = await Admin.findById(id).lean();
     if (!adminToDelete) return res.status(404).json({ message: 'Admin not found.' });
 
+    if (adminToDelete.role === 'SuperAdmin' && req.admin.role !== 'SuperAdmin') {
+      return res.status(403).json({ message: 'Only a SuperAdmin can delete SuperAdmin accounts.' });
+    }
+
     // Now delete the admin
     const admin = await Admin.findByIdAndDelete(id);
+    invalidateAdminAuthCache(id);
+    await revokeAdminSessions(id, 'admin_deleted', req.admin.id);
 
+    await emitWebhookEvent('admin.deleted', getAdminWebhookData(adminToDelete));
     // Log with detailed information
     await logAction(req.admin.id, 'delete_admin', 'Admin', {
       adminId: id,
@@ -1287,7 +5696,7 @@ app.put('/api/role-permissions/:role', authMiddleware, requireRole(['SuperAdmin'
       return res.status(400).json({ message: 'Permissions are required.' });
     }
 
-    if (!['Admin', 'ViewMode', 'EditMode'].includes(role)) {
+    if (role === 'SuperAdmin') {
       return res.status(400).json({ message: 'Cannot modify SuperAdmin permissions.' });
     }
 
@@ -1301,6 +5710,8 @@ app.put('/api/role-permissions/:role', authMiddleware, requireRole(['SuperAdmin'
       return res.status(404).json({ message: 'Role not found.' });
     }
 
+    invalidateRolePermissionCache(role);
+
     await logAction(req.admin.id, 'update_role_permissions', 'RolePermission', { role, permissions });
     res.status(200).json({ message: 'Role permissions updated.', permission: updatedPermission });
   } catch (e) {
@@ -1308,8 +5719,202 @@ app.put('/api/role-permissions/:role', authMiddleware, requireRole(['SuperAdmin'
   }
 });
 
+// === Role Management (SuperAdmin only) ===
+// Roles live in the RolePermission collection; the four built-in roles are flagged isSystem.
+
+const ROLE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]{1,49}$/;
+
+// Case-insensitive lookup so "telecaller" and "Telecaller" cannot coexist
+async function findRoleByName(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return RolePermission.findOne({ role: { $regex: new RegExp(`^${escaped}$`, 'i') } });
+}
+
+// List roles with the number of admins holding each
+app.get('/api/roles', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const roles = await RolePermission.find().sort({ isSystem: -1, role: 1 }).lean();
+    const adminCounts = await Admin.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(adminCounts.map(c => [c._id, c.count]));
+
+    res.status(200).json(roles.map(role => ({ ...role, adminCount: countByRole[role.role] || 0 })));
+  } catch (e) {
+    console.error('Error fetching roles:', e);
+    res.status(500).json({ message: 'Error fetching roles.', error: e.message });
+  }
+});
+
+// Create a role, optionally cloning permissions from an existing one
+app.post('/api/roles', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const { role, description, permissions, cloneFrom, bypassLeadRestrictions, requireTwoFactor } = req.body;
+    const name = typeof role === 'string' ? role.trim() : '';
+
+    if (!ROLE_NAME_PATTERN.test(name)) {
+      return res.status(400).json({ message: 'Role name must be 2-50 characters of letters, numbers, spaces, "-" or "_".' });
+    }
+    if (await findRoleByName(name)) {
+      return res.status(409).json({ message: 'A role with this name already exists.' });
+    }
+
+    let basePermissions = {};
+    let baseBypass = false;
+    let baseRequireTwoFactor = false;
+    if (cloneFrom) {
+      const source = await RolePermission.findOne({ role: cloneFrom }).lean();
+      if (!source) {
+        return res.status(404).json({ message: `Role "${cloneFrom}" to clone from not found.` });
+      }
+      basePermissions = source.permissions || {};
+      baseBypass = Boolean(source.bypassLeadRestrictions);
+      baseRequireTwoFactor = Boolean(source.requireTwoFactor);
+    }
+
+    const created = await RolePermission.create({
+      role: name,
+      description: description || '',
+      isSystem: false,
+      bypassLeadRestrictions: typeof bypassLeadRestrictions === 'boolean' ? bypassLeadRestrictions : baseBypass,
+      requireTwoFactor: typeof requireTwoFactor === 'boolean' ? requireTwoFactor : baseRequireTwoFactor,
+      permissions: permissions || basePermissions,
+      createdBy: req.admin.id
+    });
+
+    invalidateRolePermissionCache(name);
+    await logAction(req.admin.id, 'create_role', 'RolePermission', { role: name, cloneFrom: cloneFrom || null });
+    res.status(201).json({ message: 'Role created.', role: created });
+  } catch (e) {
+    console.error('Error creating role:', e);
+    res.status(500).json({ message: 'Error creating role.', error: e.message });
+  }
+});
+
+// Rename a role and/or update its description, lead restriction bypass and 2FA requirement
+app.put('/api/roles/:role', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { newName, description, bypassLeadRestrictions, requireTwoFactor } = req.body;
+
+    const existing = await RolePermission.findOne({ role });
+    if (!existing) {
+      return res.status(404).json({ message: 'Role not found.' });
+    }
+    // The SuperAdmin role is fixed apart from whether it requires 2FA
+    if (role === 'SuperAdmin' && (newName !== undefined || description !== undefined || bypassLeadRestrictions !== undefined)) {
+      return res.status(400).json({ message: 'Cannot modify the SuperAdmin role.' });
+    }
+
+    const metadata = { role };
+
+    if (typeof newName === 'string' && newName.trim() !== role) {
+      const name = newName.trim();
+      if (existing.isSystem) {
+        return res.status(400).json({ message: 'Built-in roles cannot be renamed.' });
+      }
+      if (!ROLE_NAME_PATTERN.test(name)) {
+        return res.status(400).json({ message: 'Role name must be 2-50 characters of letters, numbers, spaces, "-" or "_".' });
+      }
+      const clash = await findRoleByName(name);
+      if (clash && !clash._id.equals(existing._id)) {
+        return res.status(409).json({ message: 'A role with this name already exists.' });
+      }
+
+      existing.role = name;
+      metadata.renamedTo = name;
+    }
+
+    if (description !== undefined) {
+      metadata.description = { from: existing.description, to: description };
+      existing.description = description;
+    }
+    if (typeof bypassLeadRestrictions === 'boolean') {
+      metadata.bypassLeadRestrictions = { from: existing.bypassLeadRestrictions, to: bypassLeadRestrictions };
+      existing.bypassLeadRestrictions = bypassLeadRestrictions;
+    }
+    const startsRequiringTwoFactor = requireTwoFactor === true && !existing.requireTwoFactor;
+    if (typeof requireTwoFactor === 'boolean') {
+      metadata.requireTwoFactor = { from: existing.requireTwoFactor, to: requireTwoFactor };
+      existing.requireTwoFactor = requireTwoFactor;
+    }
+
+    await existing.save();
+
+    // Move admins over only once the renamed role is stored
+    if (metadata.renamedTo) {
+      // Same permissions under a new name, so outstanding tokens stay valid
+      const reassigned = await Admin.updateMany({ role }, { $set: { role: existing.role } });
+      metadata.adminsUpdated = reassigned.modifiedCount;
+      invalidateAdminAuthCache();
+    }
+
+    invalidateRolePermissionCache(role);
+    invalidateRolePermissionCache(existing.role);
+
+    // Admins without 2FA must log in again so they go through enrollment
+    if (startsRequiringTwoFactor) {
+      const unenrolled = await Admin.find({ role: existing.role, twoFactorEnabled: { $ne: true } }).select('_id').lean();
+      metadata.sessionsRevoked = unenrolled.length > 0
+        ? await revokeSessions({ adminId: { $in: unenrolled.map(a => a._id) } }, '2fa_required', req.admin.id)
+        : 0;
+    }
+    await logAction(req.admin.id, 'update_role', 'RolePermission', metadata);
+    res.status(200).json({ message: 'Role updated.', role: existing });
+  } catch (e) {
+    console.error('Error updating role:', e);
+    res.status(500).json({ message: 'Error updating role.', error: e.message });
+  }
+});
+
+// Delete a custom role; admins holding it must be moved to `reassignTo`
+app.delete('/api/roles/:role', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { reassignTo } = req.body || {};
+
+    const existing = await RolePermission.findOne({ role });
+    if (!existing) {
+      return res.status(404).json({ message: 'Role not found.' });
+    }
+    if (existing.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted.' });
+    }
+
+    const holders = await Admin.countDocuments({ role });
+    let reassignedCount = 0;
+    if (holders > 0) {
+      if (!reassignTo) {
+        return res.status(400).json({
+          message: `${holders} admin(s) still have this role. Provide "reassignTo" to move them to another role.`,
+          adminCount: holders
+        });
+      }
+      if (reassignTo === role || !(await roleExists(reassignTo))) {
+        return res.status(400).json({ message: 'Invalid role to reassign admins to.' });
+      }
+      const result = await Admin.updateMany({ role }, { $set: { role: reassignTo }, $inc: { tokenVersion: 1 } });
+      invalidateAdminAuthCache();
+      reassignedCount = result.modifiedCount;
+    }
+
+    await RolePermission.deleteOne({ _id: existing._id });
+
+    invalidateRolePermissionCache(role);
+    await logAction(req.admin.id, 'delete_role', 'RolePermission', {
+      role,
+      reassignTo: reassignTo || null,
+      adminsReassigned: reassignedCount
+    });
+    res.status(200).json({ message: 'Role deleted.', adminsReassigned: reassignedCount });
+  } catch (e) {
+    console.error('Error deleting role:', e);
+    res.status(500).json({ message: 'Error deleting role.', error: e.message });
+  }
+});
+
 // === Audit Log (SuperAdmin and Admin, with pagination and filters) ===
-app.get('/api/audit-logs', authMiddleware, requireRole(['SuperAdmin', 'Admin']), async (req, res) => {
+app.get('/api/audit-logs', authMiddleware, requirePermission('auditLogs', 'view'), async (req, res) => {
   try {
     // Destructure query parameters with defaults
     const {
@@ -1378,7 +5983,7 @@ app.get('/api/audit-logs', authMiddleware, requireRole(['SuperAdmin', 'Admin']),
     }
 
     // Non-SuperAdmin users can only view logs that don't relate to SuperAdmin actions
-    if (req.admin.role === 'Admin') {
+    if (req.admin.role !== 'SuperAdmin') {
       filter.$or = [
         { 'metadata.role': { $ne: 'SuperAdmin' } },
         { 'metadata.role': { $exists: false } }
@@ -1409,7 +6014,7 @@ app.get('/api/audit-logs', authMiddleware, requireRole(['SuperAdmin', 'Admin']),
 // List Users (Leads) - already handled by /api/leads
 
 // Get single user
-app.get('/api/users/:id', authMiddleware, requireRole(['SuperAdmin','Admin','EditMode','ViewMode']), async (req, res) => {
+app.get('/api/users/:id', authMiddleware, requirePermission('users', 'read'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid user ID." });
@@ -1422,7 +6027,7 @@ app.get('/api/users/:id', authMiddleware, requireRole(['SuperAdmin','Admin','Edi
 });
 
 // Create user (lead) (Admin only)
-app.post('/api/users', authMiddleware, requireRole(['SuperAdmin','Admin','EditMode']), async (req, res) => {
+app.post('/api/users', authMiddleware, requirePermission('users', 'create'), async (req, res) => {
   try {
     const { name, email, contact, countryCode, coursename, location, status, notes, assignedTo, contactedScore, contactedComment } = req.body;
     if (!name || !email || !contact) {
@@ -1432,8 +6037,16 @@ app.post('/api/users', authMiddleware, requireRole(['SuperAdmin','Admin','EditMo
     if (existingUser) {
       return res.status(409).json({ message: "User with this email or contact already exists." });
     }
-    const user = await User.create({ name, email, contact, countryCode, coursename, location, status, notes, assignedTo, contactedScore, contactedComment });
+    const pipeline = await getLeadPipeline();
+    if (status !== undefined && !findPipelineStage(pipeline, status)) {
+      return res.status(400).json({ message: `"${status}" is not a stage in the lead pipeline.` });
+    }
+    const user = new User({ name, email, contact, countryCode, coursename, location, status: status || getInitialLeadStage(pipeline), notes, assignedTo, contactedScore, contactedComment, source: 'admin' });
+    applyLeadSla(user, await getLeadSla(), pipeline);
+    await user.save();
+    await appendNotesAsComment(user._id, '', notes, req.admin.id);
     await logAction(req.admin.id, 'create_user', 'User', { userId: user._id });
+    await emitWebhookEvent('lead.created', getLeadWebhookData(user), { leadId: user._id });
     res.status(201).json({ message: "User created.", user });
   } catch (e) {
     res.status(500).json({ message: 'Error creating user.', error: e.message });
@@ -1441,7 +6054,7 @@ app.post('/api/users', authMiddleware, requireRole(['SuperAdmin','Admin','EditMo
 });
 
 // Update user (lead)
-app.put('/api/users/:id', authMiddleware, requireRole(['SuperAdmin','Admin','EditMode']), async (req, res) => {
+app.put('/api/users/:id', authMiddleware, requirePermission('users', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const allowedFields = ['name','email','contact','countryCode','coursename','location','status','notes','assignedTo','contactedScore','contactedComment'];
@@ -1450,9 +6063,18 @@ app.put('/api/users/:id', authMiddleware, requireRole(['SuperAdmin','Admin','Edi
       if (req.body[key] !== undefined) updateFields[key] = req.body[key];
     }
     if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid user ID." });
+    const existing = await User.findById(id).lean();
+    if (!existing) return res.status(404).json({ message: "User not found." });
+    if (updateFields.status !== undefined) {
+      const transitionError = checkStatusTransition(await getLeadPipeline(), existing.status, updateFields.status);
+      if (transitionError) return res.status(400).json({ message: transitionError });
+    }
     const user = await User.findByIdAndUpdate(id, updateFields, { new: true, runValidators: true });
     if (!user) return res.status(404).json({ message: "User not found." });
+    await recordStatusChanges([{ leadId: id, fromStatus: existing.status, toStatus: updateFields.status }], req.admin.id, 'update_user');
+    await appendNotesAsComment(id, existing.notes, updateFields.notes, req.admin.id);
     await logAction(req.admin.id, 'update_user', 'User', { userId: id, updateFields });
+    await emitLeadUpdateEvents(existing, user);
     res.status(200).json({ message: "User updated.", user });
   } catch (e) {
     res.status(500).json({ message: 'Error updating user.', error: e.message });
@@ -1460,12 +6082,14 @@ app.put('/api/users/:id', authMiddleware, requireRole(['SuperAdmin','Admin','Edi
 });
 
 // Delete user (lead)
-app.delete('/api/users/:id', authMiddleware, requireRole(['SuperAdmin','Admin']), async (req, res) => {
+app.delete('/api/users/:id', authMiddleware, requirePermission('users', 'delete'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid user ID." });
     const user = await User.findByIdAndDelete(id);
     if (!user) return res.status(404).json({ message: "User not found." });
+    await deleteLeadRelatedRecords([id]);
+    await emitWebhookEvent('lead.deleted', getLeadWebhookData(user));
     await logAction(req.admin.id, 'delete_user', 'User', { userId: id });
     res.status(200).json({ message: "User deleted." });
   } catch (e) {
@@ -1487,6 +6111,26 @@ app.get('/api/current-admin', authMiddleware, async (req, res) => {
   }
 });
 
+// === Get Current Admin Permissions (lets the frontend hide actions the server would reject) ===
+app.get('/api/current-admin/permissions', authMiddleware, async (req, res) => {
+  try {
+    const permissions = await getRolePermissions(req.admin.role);
+    res.status(200).json({ role: req.admin.role, permissions: permissions || {} });
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching permissions.', error: e.message });
+  }
+});
+
+// === Lead Pipeline (readable by every admin so status pickers match the server rules) ===
+// Edit it through PUT /api/settings/leadPipeline
+app.get('/api/lead-pipeline', authMiddleware, async (req, res) => {
+  try {
+    res.status(200).json(await getLeadPipeline());
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching lead pipeline.', error: e.message });
+  }
+});
+
 // === Track Activity ===
 app.post('/api/activity', authMiddleware, async (req, res) => {
   try {
@@ -1498,8 +6142,8 @@ app.post('/api/activity', authMiddleware, async (req, res) => {
   }
 });
 
-// --- Get Admin Activity Logs (SuperAdmin and Admin, with pagination and filters) ---
-app.get('/api/admin-activity', authMiddleware, requireRole(['SuperAdmin', 'Admin']), async (req, res) => {
+// --- Get Admin Activity Logs (activityLogs.view, with pagination and filters) ---
+app.get('/api/admin-activity', authMiddleware, requirePermission('activityLogs', 'view'), async (req, res) => {
   try {
     // Destructure query parameters with defaults
     const {
@@ -1689,36 +6333,94 @@ app.get('/api/login-history', authMiddleware, requireRole(['SuperAdmin']), async
 });
 
 // === Admin Analytics ===
-app.get('/api/analytics', authMiddleware, requireRole(['SuperAdmin', 'Admin']), async (req, res) => {
+app.get('/api/analytics', authMiddleware, requirePermission('analytics', 'view'), async (req, res) => {
   try {
-    // Count total leads
-    const totalLeads = await User.countDocuments();
+    // Count total leads (archived duplicates excluded throughout)
+    const totalLeads = await User.countDocuments({ archivedAt: null });
 
-    // Count leads by status
-    const leadsByStatus = await User.aggregate([
+    // Count leads by status, reported in configured pipeline order (stages with no leads included)
+    const statusCounts = await User.aggregate([
+      { $match: { archivedAt: null } },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
+    const pipeline = await getLeadPipeline();
+    const countByStatus = Object.fromEntries(statusCounts.map(s => [s._id, s.count]));
+    const leadsByStatus = pipeline.stages.map((stage, order) => ({
+      _id: stage.name,
+      count: countByStatus[stage.name] || 0,
+      order,
+      terminal: Boolean(stage.terminal),
+      outcome: stage.outcome || null
+    }));
+    // Leads left in stages that were removed from the pipeline
+    for (const { _id, count } of statusCounts) {
+      if (!findPipelineStage(pipeline, _id)) {
+        leadsByStatus.push({ _id, count, order: null, terminal: false, outcome: null, inPipeline: false });
+      }
+    }
+    const leadsByOutcome = { open: 0, won: 0, lost: 0 };
+    for (const entry of leadsByStatus) {
+      if (entry.outcome === 'won' || entry.outcome === 'lost') {
+        leadsByOutcome[entry.outcome] += entry.count;
+      } else if (!entry.terminal) {
+        leadsByOutcome.open += entry.count;
+      }
+    }
 
     // Count leads created in the last 7 days
     const lastWeekLeads = await User.countDocuments({
+      archivedAt: null,
       createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
     });
 
     // Count leads created in the last 30 days
     const lastMonthLeads = await User.countDocuments({
+      archivedAt: null,
       createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
     });
 
     // Count leads by course
     const leadsByCourse = await User.aggregate([
+      { $match: { archivedAt: null } },
       { $group: { _id: '$coursename', count: { $sum: 1 } } }
     ]);
 
     // Count leads by location
     const leadsByLocation = await User.aggregate([
+      { $match: { archivedAt: null } },
       { $group: { _id: '$location', count: { $sum: 1 } } }
     ]);
 
+    // Lead volume and conversion rate by source and by campaign.
+    // Source is the UTM source when present, otherwise the intake channel (web_form, import, ...).
+    const wonStages = pipeline.stages.filter(stage => stage.outcome === 'won').map(stage => stage.name);
+    const conversionGroup = (groupId) => ([
+      { $match: { archivedAt: null } },
+      {
+        $group: {
+          _id: groupId,
+          count: { $sum: 1 },
+          converted: { $sum: { $cond: [{ $in: ['$status', wonStages] }, 1, 0] } }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+    const withConversionRate = (rows) => rows.map(row => ({
+      ...row,
+      conversionRate: row.count > 0 ? Math.round((row.converted / row.count) * 10000) / 100 : 0
+    }));
+
+    const leadsBySource = withConversionRate(await User.aggregate(
+      conversionGroup({ $ifNull: ['$attribution.utmSource', { $ifNull: ['$source', 'unknown'] }] })
+    ));
+    const leadsByCampaign = withConversionRate(await User.aggregate(
+      conversionGroup({
+        source: { $ifNull: ['$attribution.utmSource', { $ifNull: ['$source', 'unknown'] }] },
+        medium: { $ifNull: ['$attribution.utmMedium', null] },
+        campaign: { $ifNull: ['$attribution.utmCampaign', null] }
+      })
+    ));
+
     // Get total admins
     const totalAdmins = await Admin.countDocuments();
 
@@ -1730,24 +6432,204 @@ app.get('/api/analytics', authMiddleware, requireRole(['SuperAdmin', 'Admin']),
       { $group: { _id: '$role', count: { $sum: 1 } } }
     ]);
 
-    // Response
+    // Response
+    res.status(200).json({
+      leads: {
+        total: totalLeads,
+        byStatus: leadsByStatus,
+        byOutcome: leadsByOutcome,
+        lastWeek: lastWeekLeads,
+        lastMonth: lastMonthLeads,
+        byCourse: leadsByCourse,
+        byLocation: leadsByLocation,
+        bySource: leadsBySource,
+        byCampaign: leadsByCampaign
+      },
+      admins: {
+        total: totalAdmins,
+        active: activeAdmins,
+        byRole: adminsByRole
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching analytics.', error: e.message });
+  }
+});
+
+// === SLA Analytics ===
+// SLA compliance per counselor for leads created in the window (startDate/endDate).
+// Escalated leads count against the counselor who missed the deadline, not the one they were moved to.
+app.get('/api/analytics/sla', authMiddleware, requirePermission('analytics', 'view'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const match = { slaDueAt: { $ne: null }, archivedAt: null };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const now = new Date();
+    const rows = await User.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $ifNull: ['$slaEscalatedFrom', '$assignedTo'] },
+          total: { $sum: 1 },
+          responded: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$firstResponseAt', null] }, null] }, 1, 0] } },
+          met: { $sum: { $cond: [{ $eq: ['$slaMet', true] }, 1, 0] } },
+          // Answered late, or still unanswered past the deadline
+          breached: {
+            $sum: {
+              $cond: [{
+                $or: [
+                  { $eq: ['$slaMet', false] },
+                  { $and: [{ $eq: [{ $ifNull: ['$firstResponseAt', null] }, null] }, { $lt: ['$slaDueAt', now] }] }
+                ]
+              }, 1, 0]
+            }
+          },
+          escalated: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$slaEscalatedAt', null] }, null] }, 1, 0] } },
+          avgFirstResponseMinutes: { $avg: '$firstResponseMinutes' }
+        }
+      }
+    ]);
+
+    const admins = await Admin.find({ _id: { $in: rows.map(r => r._id).filter(Boolean) } }).select('username').lean();
+    const usernameById = Object.fromEntries(admins.map(a => [a._id.toString(), a.username]));
+    const summarize = (row) => {
+      const decided = row.met + row.breached;
+      return {
+        total: row.total,
+        responded: row.responded,
+        met: row.met,
+        breached: row.breached,
+        pending: row.total - decided,
+        escalated: row.escalated,
+        complianceRate: decided > 0 ? Math.round((row.met / decided) * 10000) / 100 : null,
+        avgFirstResponseBusinessHours: row.avgFirstResponseMinutes == null ? null : Math.round(row.avgFirstResponseMinutes / 60 * 100) / 100
+      };
+    };
+
+    const totals = rows.reduce((acc, row) => {
+      for (const key of ['total', 'responded', 'met', 'breached', 'escalated']) acc[key] += row[key];
+      if (row.avgFirstResponseMinutes != null) {
+        acc.responseMinutes += row.avgFirstResponseMinutes * row.responded;
+        acc.respondedWithTime += row.responded;
+      }
+      return acc;
+    }, { total: 0, responded: 0, met: 0, breached: 0, escalated: 0, responseMinutes: 0, respondedWithTime: 0 });
+
+    const sla = await getLeadSla();
+    res.status(200).json({
+      sla: { enabled: sla.enabled, firstResponseHours: sla.firstResponseHours, businessHours: sla.businessHours },
+      overall: summarize({
+        ...totals,
+        avgFirstResponseMinutes: totals.respondedWithTime > 0 ? totals.responseMinutes / totals.respondedWithTime : null
+      }),
+      byCounselor: rows.map(row => ({
+        adminId: row._id,
+        username: row._id ? (usernameById[row._id.toString()] || 'Unknown') : 'Unassigned',
+        ...summarize(row)
+      })).sort((a, b) => b.total - a.total)
+    });
+  } catch (e) {
+    console.error('Error fetching SLA analytics:', e);
+    res.status(500).json({ message: 'Error fetching SLA analytics.', error: e.message });
+  }
+});
+
+// === Stage Duration Analytics ===
+// Average time leads spend in each stage before moving on, e.g. Contacted -> Converted.
+// Only completed stage periods ending within the startDate/endDate window are counted; the window
+// defaults to the last STAGE_DURATION_DEFAULT_DAYS days and may not exceed STAGE_DURATION_MAX_DAYS.
+const STAGE_DURATION_DEFAULT_DAYS = 90;
+const STAGE_DURATION_MAX_DAYS = 366;
+
+app.get('/api/analytics/stage-durations', authMiddleware, requirePermission('analytics', 'view'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const dayMs = 24 * 60 * 60 * 1000;
+    const to = endDate ? new Date(endDate) : new Date();
+    const from = startDate ? new Date(startDate) : new Date(to.getTime() - STAGE_DURATION_DEFAULT_DAYS * dayMs);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ message: 'startDate and endDate must be valid dates.' });
+    }
+    if (from > to) {
+      return res.status(400).json({ message: 'startDate must be before endDate.' });
+    }
+    if (to - from > STAGE_DURATION_MAX_DAYS * dayMs) {
+      return res.status(400).json({ message: `The date range may not exceed ${STAGE_DURATION_MAX_DAYS} days.` });
+    }
+
+    // Each change in the window ends a period that began at the lead's previous change (which may be
+    // before the window) or, for the first change, when the lead was created
+    const groupDurations = {
+      count: { $sum: 1 },
+      avgMs: { $avg: '$durationMs' },
+      maxMs: { $max: '$durationMs' },
+      durations: { $push: '$durationMs' } // Only for the median; bounded by the window
+    };
+    const [result] = await LeadStatusHistory.aggregate([
+      { $match: { changedAt: { $gte: from, $lte: to } } },
+      {
+        $lookup: {
+          from: LeadStatusHistory.collection.name,
+          let: { leadId: '$leadId', changedAt: '$changedAt' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$leadId', '$$leadId'] }, { $lt: ['$changedAt', '$$changedAt'] }] } } },
+            { $sort: { changedAt: -1 } },
+            { $limit: 1 },
+            { $project: { _id: 0, changedAt: 1 } }
+          ],
+          as: 'previous'
+        }
+      },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: 'leadId',
+          foreignField: '_id',
+          as: 'lead'
+        }
+      },
+      {
+        $project: {
+          stage: { $ifNull: ['$fromStatus', 'Unknown'] },
+          toStatus: 1,
+          changedAt: 1,
+          enteredAt: { $ifNull: [{ $arrayElemAt: ['$previous.changedAt', 0] }, { $arrayElemAt: ['$lead.createdAt', 0] }] }
+        }
+      },
+      { $match: { enteredAt: { $ne: null } } }, // Lead deleted and no earlier change to measure from
+      { $project: { stage: 1, toStatus: 1, durationMs: { $subtract: ['$changedAt', '$enteredAt'] } } },
+      {
+        $facet: {
+          byStage: [{ $group: { _id: '$stage', ...groupDurations } }],
+          byTransition: [{ $group: { _id: { from: '$stage', to: '$toStatus' }, ...groupDurations } }]
+        }
+      }
+    ]);
+
+    const summarize = (group) => {
+      const sorted = [...group.durations].sort((a, b) => a - b);
+      return {
+        count: group.count,
+        avgHours: msToHours(group.avgMs),
+        medianHours: msToHours(sorted[Math.floor(sorted.length / 2)]),
+        maxHours: msToHours(group.maxMs)
+      };
+    };
+
     res.status(200).json({
-      leads: {
-        total: totalLeads,
-        byStatus: leadsByStatus,
-        lastWeek: lastWeekLeads,
-        lastMonth: lastMonthLeads,
-        byCourse: leadsByCourse,
-        byLocation: leadsByLocation
-      },
-      admins: {
-        total: totalAdmins,
-        active: activeAdmins,
-        byRole: adminsByRole
-      }
+      startDate: from,
+      endDate: to,
+      byStage: result.byStage.map(group => ({ status: group._id, ...summarize(group) })),
+      byTransition: result.byTransition.map(group => ({ from: group._id.from, to: group._id.to, ...summarize(group) }))
     });
   } catch (e) {
-    res.status(500).json({ message: 'Error fetching analytics.', error: e.message });
+    console.error('Error fetching stage duration analytics:', e);
+    res.status(500).json({ message: 'Error fetching stage duration analytics.', error: e.message });
   }
 });
 
@@ -1764,8 +6646,8 @@ app.get('/api/settings', authMiddleware, requireRole(['SuperAdmin']), async (req
   }
 });
 
-// Get a specific setting by key (SuperAdmin, Admin)
-app.get('/api/settings/:key', authMiddleware, requireRole(['SuperAdmin', 'Admin']), async (req, res) => {
+// Get a specific setting by key (settings.read)
+app.get('/api/settings/:key', authMiddleware, requirePermission('settings', 'read'), async (req, res) => {
   try {
     const { key } = req.params;
     const setting = await Settings.findOne({ key }).lean();
@@ -1845,6 +6727,51 @@ function validateSetting(key, value) {
         return false;
       }
 
+    case 'assignmentStrategy': {
+      const strategyError = validateAssignmentStrategy(value);
+      if (strategyError) {
+        console.warn(`Invalid value for ${key}: ${strategyError}`);
+        return false;
+      }
+      return true;
+    }
+
+    case 'leadSla': {
+      const slaError = validateLeadSla(value);
+      if (slaError) {
+        console.warn(`Invalid value for ${key}: ${slaError}`);
+        return false;
+      }
+      return true;
+    }
+
+    case 'autoresponder': {
+      const autoresponderError = validateAutoresponder(value);
+      if (autoresponderError) {
+        console.warn(`Invalid value for ${key}: ${autoresponderError}`);
+        return false;
+      }
+      return true;
+    }
+
+    case 'leadPipeline': {
+      const pipelineError = validateLeadPipeline(value);
+      if (pipelineError) {
+        console.warn(`Invalid value for ${key}: ${pipelineError}`);
+        return false;
+      }
+      return true;
+    }
+
+    case 'passwordPolicy': {
+      const policyError = passwordPolicy.validatePasswordPolicy(value);
+      if (policyError) {
+        console.warn(`Invalid value for ${key}: ${policyError}`);
+        return false;
+      }
+      return true;
+    }
+
     default:
       // For unknown settings, accept any value
       return true;
@@ -1951,6 +6878,542 @@ app.put('/api/settings/:key', authMiddleware, requireRole(['SuperAdmin']), async
   }
 });
 
+// === Lead Routing Rule Routes (SuperAdmin only) ===
+const ROUTING_RULE_FIELDS = ['name', 'description', 'enabled', 'order', 'match', 'conditions', 'actions'];
+
+app.get('/api/routing-rules', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const rules = await RoutingRule.find()
+      .sort({ order: 1, createdAt: 1 })
+      .populate('actions.assignTo', 'username email active')
+      .populate('actions.pool', 'username email active')
+      .lean();
+    res.status(200).json(rules);
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching routing rules.', error: e.message });
+  }
+});
+
+app.post('/api/routing-rules', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const input = {};
+    for (const field of ROUTING_RULE_FIELDS) {
+      if (req.body[field] !== undefined) input[field] = req.body[field];
+    }
+
+    const validationError = validateRoutingRule(input, await getLeadPipeline());
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (input.order === undefined) {
+      const last = await RoutingRule.findOne().sort({ order: -1 }).select('order').lean();
+      input.order = last ? last.order + 1 : 0;
+    }
+
+    const rule = await RoutingRule.create({ ...input, createdBy: req.admin.id, updatedBy: req.admin.id });
+    await logAction(req.admin.id, 'create_routing_rule', 'RoutingRule', { ruleId: rule._id, name: rule.name });
+    res.status(201).json({ message: 'Routing rule created.', rule });
+  } catch (e) {
+    console.error('Error creating routing rule:', e);
+    res.status(500).json({ message: 'Error creating routing rule.', error: e.message });
+  }
+});
+
+// Reorder rules: { ids: [...] } in the desired evaluation order
+app.put('/api/routing-rules/reorder', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'ids must be a non-empty array of routing rule IDs.' });
+    }
+
+    await RoutingRule.bulkWrite(ids.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order: index, updatedAt: new Date(), updatedBy: req.admin.id } } }
+    })));
+    await logAction(req.admin.id, 'reorder_routing_rules', 'RoutingRule', { ids });
+
+    const rules = await RoutingRule.find().sort({ order: 1, createdAt: 1 }).lean();
+    res.status(200).json({ message: 'Routing rules reordered.', rules });
+  } catch (e) {
+    res.status(500).json({ message: 'Error reordering routing rules.', error: e.message });
+  }
+});
+
+// Dry run: which rule would a sample lead ({ lead: {...} }) or an existing lead ({ leadId }) hit?
+// Nothing is saved and round-robin counters are not advanced.
+app.post('/api/routing-rules/test', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const { leadId, lead: sample } = req.body;
+    let lead;
+    if (leadId) {
+      if (!mongoose.Types.ObjectId.isValid(leadId)) {
+        return res.status(400).json({ message: 'Invalid lead ID.' });
+      }
+      lead = await User.findById(leadId).lean();
+      if (!lead) {
+        return res.status(404).json({ message: 'Lead not found.' });
+      }
+    } else if (sample && typeof sample === 'object') {
+      const pipeline = await getLeadPipeline();
+      lead = new User({
+        ...normalizeIntakeInput(sample),
+        status: sample.status || getInitialLeadStage(pipeline),
+        source: sample.source,
+        sourceForm: sample.sourceForm,
+        tags: Array.isArray(sample.tags) ? sample.tags : [],
+        attribution: normalizeAttribution(sample)
+      });
+    } else {
+      return res.status(400).json({ message: 'Provide either "leadId" or a sample "lead" object.' });
+    }
+
+    const rules = await getActiveRoutingRules();
+    const { rule, trace } = evaluateRoutingRules(lead, rules);
+    res.status(200).json({
+      matched: Boolean(rule),
+      rule: rule ? { _id: rule._id, name: rule.name, order: rule.order, actions: rule.actions } : null,
+      // Without an assigning rule the assignmentStrategy setting picks the admin at intake
+      fallbackToAssignmentStrategy: !rule || (!rule.actions?.assignTo && !(rule.actions?.pool || []).length),
+      evaluated: trace
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error testing routing rules.', error: e.message });
+  }
+});
+
+app.put('/api/routing-rules/:id', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid routing rule ID.' });
+    }
+    const rule = await RoutingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Routing rule not found.' });
+    }
+
+    const updates = {};
+    for (const field of ROUTING_RULE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    const merged = { ...rule.toObject(), ...updates };
+    const validationError = validateRoutingRule(merged, await getLeadPipeline());
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    rule.set({ ...updates, updatedAt: new Date(), updatedBy: req.admin.id });
+    await rule.save();
+    await logAction(req.admin.id, 'update_routing_rule', 'RoutingRule', { ruleId: rule._id, name: rule.name, updates: Object.keys(updates) });
+    res.status(200).json({ message: 'Routing rule updated.', rule });
+  } catch (e) {
+    console.error('Error updating routing rule:', e);
+    res.status(500).json({ message: 'Error updating routing rule.', error: e.message });
+  }
+});
+
+app.delete('/api/routing-rules/:id', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid routing rule ID.' });
+    }
+    const rule = await RoutingRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Routing rule not found.' });
+    }
+    await logAction(req.admin.id, 'delete_routing_rule', 'RoutingRule', { ruleId: rule._id, name: rule.name });
+    res.status(200).json({ message: 'Routing rule deleted.' });
+  } catch (e) {
+    res.status(500).json({ message: 'Error deleting routing rule.', error: e.message });
+  }
+});
+
+// === Email Template Routes (SuperAdmin only) ===
+// Only the built-in template names can be edited, since those are the emails the server sends
+function findDefaultEmailTemplate(req, res) {
+  const fallback = DEFAULT_EMAIL_TEMPLATES[req.params.name];
+  if (!fallback) {
+    res.status(404).json({ message: `Email template "${req.params.name}" not found.` });
+    return null;
+  }
+  return fallback;
+}
+
+app.get('/api/email-templates', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const templates = await Promise.all(Object.keys(DEFAULT_EMAIL_TEMPLATES).map(getEmailTemplate));
+    res.status(200).json(templates);
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching email templates.', error: e.message });
+  }
+});
+
+app.get('/api/email-templates/:name', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const fallback = findDefaultEmailTemplate(req, res);
+    if (!fallback) return;
+    const template = await getEmailTemplate(req.params.name);
+    res.status(200).json({ ...template, sampleVariables: fallback.sample });
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching email template.', error: e.message });
+  }
+});
+
+app.put('/api/email-templates/:name', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const fallback = findDefaultEmailTemplate(req, res);
+    if (!fallback) return;
+
+    const updates = {};
+    for (const field of ['description', 'subject', 'text', 'html']) {
+      if (req.body[field] !== undefined) {
+        if (typeof req.body[field] !== 'string') {
+          return res.status(400).json({ message: `${field} must be a string.` });
+        }
+        updates[field] = req.body[field];
+      }
+    }
+    if (updates.subject !== undefined && !updates.subject.trim()) {
+      return res.status(400).json({ message: 'Subject cannot be empty.' });
+    }
+
+    const current = await getEmailTemplate(req.params.name);
+    const next = { ...current, ...updates };
+    if (!next.text.trim() && !next.html.trim()) {
+      return res.status(400).json({ message: 'A template needs a text or HTML body.' });
+    }
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { name: req.params.name },
+      { $set: { ...updates, updatedBy: req.admin.id, updatedAt: new Date() }, $setOnInsert: { name: req.params.name } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    await logAction(req.admin.id, 'update_email_template', 'EmailTemplate', { name: req.params.name, fields: Object.keys(updates) });
+    res.status(200).json({
+      message: 'Email template updated.',
+      template,
+      unknownVariables: findMissingTemplateVariables(template, fallback.sample)
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error updating email template.', error: e.message });
+  }
+});
+
+// Restore the built-in subject and bodies
+app.post('/api/email-templates/:name/reset', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const fallback = findDefaultEmailTemplate(req, res);
+    if (!fallback) return;
+    const { description, subject, text, html } = fallback;
+    const template = await EmailTemplate.findOneAndUpdate(
+      { name: req.params.name },
+      { $set: { description, subject, text, html, updatedBy: req.admin.id, updatedAt: new Date() } },
+      { new: true, upsert: true }
+    );
+    await logAction(req.admin.id, 'reset_email_template', 'EmailTemplate', { name: req.params.name });
+    res.status(200).json({ message: 'Email template reset to default.', template });
+  } catch (e) {
+    res.status(500).json({ message: 'Error resetting email template.', error: e.message });
+  }
+});
+
+// Render the stored template, or an unsaved draft (subject/text/html in the body), with the sample
+// variables or caller-supplied `variables`
+app.post('/api/email-templates/:name/preview', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const fallback = findDefaultEmailTemplate(req, res);
+    if (!fallback) return;
+
+    const template = { ...(await getEmailTemplate(req.params.name)) };
+    for (const field of ['subject', 'text', 'html']) {
+      if (typeof req.body[field] === 'string') template[field] = req.body[field];
+    }
+    const variables = req.body.variables && typeof req.body.variables === 'object' ? req.body.variables : fallback.sample;
+
+    res.status(200).json({
+      ...renderEmailContent(template, variables),
+      variables,
+      unknownVariables: findMissingTemplateVariables(template, variables)
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error previewing email template.', error: e.message });
+  }
+});
+
+// === Outbox Routes (SuperAdmin only) ===
+const OUTBOX_STATUSES = ['pending', 'processing', 'sent', 'failed'];
+
+// List queued notifications: ?status=pending|processing|sent|failed&template=&leadId=&page=&limit=
+app.get('/api/outbox', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const { status, template, leadId, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const filter = {};
+    if (status) {
+      if (!OUTBOX_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${OUTBOX_STATUSES.join(', ')}.` });
+      }
+      filter.status = status;
+    }
+    if (template) filter.template = template;
+    if (leadId) {
+      if (!mongoose.Types.ObjectId.isValid(leadId)) {
+        return res.status(400).json({ message: 'Invalid lead ID.' });
+      }
+      filter.leadId = leadId;
+    }
+
+    const [messages, totalItems, statusCounts] = await Promise.all([
+      OutboxMessage.find(filter)
+        .select('-message.html -message.text')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      OutboxMessage.countDocuments(filter),
+      OutboxMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const counts = Object.fromEntries(OUTBOX_STATUSES.map(s => [s, 0]));
+    statusCounts.forEach(c => { counts[c._id] = c.count; });
+
+    res.status(200).json({
+      messages,
+      counts,
+      currentPage: pageNum,
+      totalPages: Math.ceil(totalItems / limitNum),
+      totalItems
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching outbox.', error: e.message });
+  }
+});
+
+app.get('/api/outbox/:id', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid outbox message ID.' });
+    }
+    const entry = await OutboxMessage.findById(req.params.id).lean();
+    if (!entry) {
+      return res.status(404).json({ message: 'Outbox message not found.' });
+    }
+    res.status(200).json(entry);
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching outbox message.', error: e.message });
+  }
+});
+
+// Requeue a failed (or still pending) message for immediate delivery with a fresh set of attempts
+app.post('/api/outbox/:id/retry', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid outbox message ID.' });
+    }
+    const entry = await OutboxMessage.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['failed', 'pending'] } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), failedAt: null, lockedUntil: null, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!entry) {
+      const exists = await OutboxMessage.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: 'Only failed or pending messages can be retried.' })
+        : res.status(404).json({ message: 'Outbox message not found.' });
+    }
+
+    await logAction(req.admin.id, 'retry_outbox_message', 'OutboxMessage', { messageId: entry._id, template: entry.template });
+    triggerOutboxProcessing();
+    res.status(200).json({ message: 'Message queued for retry.', entry });
+  } catch (e) {
+    res.status(500).json({ message: 'Error retrying outbox message.', error: e.message });
+  }
+});
+
+// === Webhook Subscription Routes (SuperAdmin only) ===
+// Secrets are only returned in full when a subscription is created or its secret is rotated
+function serializeWebhook(subscription, { revealSecret = false } = {}) {
+  const data = typeof subscription.toObject === 'function' ? subscription.toObject() : { ...subscription };
+  data.secret = revealSecret ? data.secret : `••••${data.secret.slice(-4)}`;
+  return data;
+}
+
+// Returns an error message for invalid subscription fields, or null if they are valid
+function validateWebhookInput(input, { partial = false } = {}) {
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) return 'Name is required.';
+  }
+  if (!partial || input.url !== undefined) {
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch (e) {
+      return 'url must be a valid http(s) URL.';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'url must be a valid http(s) URL.';
+  }
+  if (!partial || input.events !== undefined) {
+    if (!Array.isArray(input.events) || input.events.length === 0) return 'events must be a non-empty array.';
+    const unknown = input.events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) return `Unknown event(s): ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')} or "*".`;
+  }
+  if (input.active !== undefined && typeof input.active !== 'boolean') return 'active must be a boolean.';
+  if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+    return 'secret must be at least 16 characters.';
+  }
+  return null;
+}
+
+app.get('/api/webhooks/events', authMiddleware, requireRole(['SuperAdmin']), (req, res) => {
+  res.status(200).json(WEBHOOK_EVENTS);
+});
+
+app.get('/api/webhooks', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: 1 }).lean();
+    res.status(200).json(subscriptions.map(sub => serializeWebhook(sub)));
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching webhooks.', error: e.message });
+  }
+});
+
+app.post('/api/webhooks', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    const { name, description, url, events, secret, active } = req.body;
+    const validationError = validateWebhookInput({ name, url, events, secret, active }) || await checkWebhookTarget(url);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const subscription = await WebhookSubscription.create({
+      name,
+      description: description || '',
+      url,
+      events,
+      secret: secret || generateWebhookSecret(),
+      active: active !== false,
+      createdBy: req.admin.id
+    });
+    await logAction(req.admin.id, 'create_webhook', 'WebhookSubscription', { webhookId: subscription._id, name, url, events });
+    res.status(201).json({ message: 'Webhook created.', webhook: serializeWebhook(subscription, { revealSecret: true }) });
+  } catch (e) {
+    res.status(500).json({ message: 'Error creating webhook.', error: e.message });
+  }
+});
+
+// Update fields; { rotateSecret: true } generates a new secret and returns it once
+app.put('/api/webhooks/:id', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook ID.' });
+    }
+    const updates = {};
+    for (const field of ['name', 'description', 'url', 'events', 'secret', 'active']) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    const validationError = validateWebhookInput(updates, { partial: true }) ||
+      (updates.url !== undefined ? await checkWebhookTarget(updates.url) : null);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    const secretChanged = req.body.rotateSecret === true || updates.secret !== undefined;
+    if (req.body.rotateSecret === true) updates.secret = generateWebhookSecret();
+
+    const subscription = await WebhookSubscription.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...updates, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!subscription) {
+      return res.status(404).json({ message: 'Webhook not found.' });
+    }
+    await logAction(req.admin.id, 'update_webhook', 'WebhookSubscription', {
+      webhookId: subscription._id,
+      fields: Object.keys(updates).filter(field => field !== 'secret'),
+      secretChanged
+    });
+    res.status(200).json({ message: 'Webhook updated.', webhook: serializeWebhook(subscription, { revealSecret: secretChanged }) });
+  } catch (e) {
+    res.status(500).json({ message: 'Error updating webhook.', error: e.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook ID.' });
+    }
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ message: 'Webhook not found.' });
+    }
+    await logAction(req.admin.id, 'delete_webhook', 'WebhookSubscription', { webhookId: subscription._id, name: subscription.name, url: subscription.url });
+    res.status(200).json({ message: 'Webhook deleted.' });
+  } catch (e) {
+    res.status(500).json({ message: 'Error deleting webhook.', error: e.message });
+  }
+});
+
+// Delivery log: ?status=pending|processing|sent|failed&page=&limit=
+app.get('/api/webhooks/:id/deliveries', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook ID.' });
+    }
+    const { status, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const filter = { channel: 'webhook', webhookId: req.params.id };
+    if (status) filter.status = status;
+
+    const [deliveries, totalItems] = await Promise.all([
+      OutboxMessage.find(filter)
+        .select('event status attempts maxAttempts nextAttemptAt lastError responseStatus sentAt failedAt createdAt updatedAt leadId')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      OutboxMessage.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      deliveries,
+      currentPage: pageNum,
+      totalPages: Math.ceil(totalItems / limitNum),
+      totalItems
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error fetching webhook deliveries.', error: e.message });
+  }
+});
+
+// Queue a 'webhook.test' event for this subscription only, regardless of its event filter
+app.post('/api/webhooks/:id/test', authMiddleware, requireRole(['SuperAdmin']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook ID.' });
+    }
+    const subscription = await WebhookSubscription.findById(req.params.id).lean();
+    if (!subscription) {
+      return res.status(404).json({ message: 'Webhook not found.' });
+    }
+    if (!subscription.active) {
+      return res.status(400).json({ message: 'Activate the webhook before sending a test event.' });
+    }
+
+    const [delivery] = await enqueueOutboxMessages([
+      buildWebhookDelivery(subscription._id, 'webhook.test', { message: 'Test event from Connecting Dots ERP', triggeredBy: req.admin.id })
+    ]);
+    await logAction(req.admin.id, 'test_webhook', 'WebhookSubscription', { webhookId: subscription._id, deliveryId: delivery._id });
+    res.status(202).json({ message: 'Test event queued.', deliveryId: delivery._id });
+  } catch (e) {
+    res.status(500).json({ message: 'Error sending test event.', error: e.message });
+  }
+});
+
 // === Wake/Ping Endpoint ===
 app.get('/api/ping', (req, res) => {
   res.status(200).json({ message: 'Server is awake!' });
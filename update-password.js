@@ -1,6 +1,6 @@
 // Usage: node update-password.js <username> <newpassword>
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const passwordPolicy = require('./password-policy');
 require('dotenv').config();
 
 const MONGODB_URI = process.env.MONGODB_URI;
@@ -12,6 +12,11 @@ if (!MONGODB_URI) {
 const adminSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  email: { type: String },
+  passwordHistory: { type: [String], default: [] },
+  passwordChangedAt: { type: Date },
+  loginAttempts: { type: Number, default: 0 },
+  tokenVersion: { type: Number, default: 0 }, // Bumped so tokens issued with the old password stop working
   createdAt: { type: Date, default: Date.now }
 });
 const Admin = mongoose.model('Admin', adminSchema);
@@ -28,9 +33,23 @@ const Admin = mongoose.model('Admin', adminSchema);
     console.log('Admin not found.');
     process.exit(1);
   }
-  admin.password = await bcrypt.hash(newPassword, 12);
+  const policy = await passwordPolicy.loadPasswordPolicy(mongoose.connection);
+  const passwordError = await passwordPolicy.checkNewPassword(newPassword, policy, admin);
+  if (passwordError) {
+    console.log(passwordError);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+  Object.assign(admin, await passwordPolicy.buildPasswordFields(newPassword, policy, admin));
+  admin.loginAttempts = 0;
+  admin.tokenVersion = (admin.tokenVersion || 0) + 1;
   await admin.save();
-  console.log('Admin password updated.');
+  // Refresh tokens would otherwise keep minting new access tokens; same as revokeAdminSessions in server.js
+  const revoked = await mongoose.connection.collection('sessions').updateMany(
+    { adminId: admin._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'password_changed' } }
+  );
+  console.log(`Admin password updated. ${revoked.modifiedCount} session(s) revoked.`);
   await mongoose.disconnect();
   process.exit(0);
 })();